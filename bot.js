@@ -1,9 +1,21 @@
 import fetch from 'node-fetch';
 import { debug } from './log.js';
-import { getSourceTweets } from './kv.js';
+import {
+    getSourceTweets,
+    storeSourceTweets,
+    getSourceCursors,
+    storeSourceCursors,
+    storeMarkovModel,
+    getMarkovModel,
+    markMarkovModelStale
+} from './kv.js';
 import { storeRecentPost } from './posts.js';
-import { recordContent } from './feedback.js';
-import { postMastodonStatus, createBlueskyRecord, getBlueskyAuth } from './social.js';
+import { recordContent, listVoted } from './feedback.js';
+import { allPlatforms, missingCredentials, enabledPlatformNames, enabledPlatforms } from './social.js';
+import { schedulerEnabled, checkSchedule, useSlot, recordPostTime } from './schedule.js';
+import { approvalMode, queueDraft, listDrafts, claimDraft, finishDraft } from './drafts.js';
+import { loadRecentFingerprints, findDuplicate, recordFingerprint } from './fingerprints.js';
+import { publishReplyDraft } from './replies.js';
 
 // HTML processing functions
 // Static entity map, defined once at module scope (cleanText runs it over every
@@ -56,27 +68,89 @@ function stripHtmlTags(text) {
     return text.replace(/\s+/g, ' ').trim();
 }
 
-// Configuration loader
-async function loadConfig() {
-    const requiredVars = [
-        'MASTODON_API_URL',
-        'MASTODON_ACCESS_TOKEN',
-        'BLUESKY_API_URL',
-        'BLUESKY_USERNAME',
-        'BLUESKY_PASSWORD'
-    ];
+// Which platforms run, and why the others don't. A platform is enabled when
+// all its credentials are set and, if ENABLED_PLATFORMS is set, it's listed
+// there; at least one must be. Half-set credentials and listed platforms that
+// can't run are warned about rather than fatal, so one network can be dropped
+// without breaking the rest.
+function checkPlatforms() {
+    const listed = enabledPlatformNames();
+    const adapters = allPlatforms();
+
+    for (const name of listed || []) {
+        if (!adapters.some(adapter => adapter.name === name)) {
+            debug(`Unknown platform in ENABLED_PLATFORMS: ${name}`, 'warn');
+        }
+    }
+
+    for (const adapter of adapters) {
+        const missing = missingCredentials(adapter);
+        const wanted = listed ? listed.includes(adapter.name) : missing.length < adapter.credentials.length;
+        if (wanted && missing.length > 0) {
+            debug(`${adapter.label} is disabled: missing ${missing.join(', ')}`, 'warn');
+        }
+    }
 
-    // Check for required environment variables
-    const missingVars = requiredVars.filter(varName => !process.env[varName]);
-    if (missingVars.length > 0) {
-        throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
+    const enabled = enabledPlatforms();
+    if (enabled.length === 0) {
+        const options = adapters.map(adapter => adapter.credentials.join(' + ')).join('; or ');
+        throw new Error(`Missing required environment variables: no platform is enabled (set ${options}` +
+            `${listed ? ', for a platform in ENABLED_PLATFORMS' : ''})`);
     }
+    debug(`Enabled platforms: ${enabled.map(adapter => adapter.label).join(', ')}`, 'info');
+    return enabled.map(adapter => adapter.name);
+}
+
+// Configuration loader
+async function loadConfig() {
+    const platforms = checkPlatforms();
 
     // Parse optional numeric parameters
     const markovStateSize = parseInt(process.env.MARKOV_STATE_SIZE || '2', 10);
     const markovMinChars = parseInt(process.env.MARKOV_MIN_CHARS || '100', 10);
     const markovMaxChars = parseInt(process.env.MARKOV_MAX_CHARS || '280', 10);
     const markovMaxTries = parseInt(process.env.MARKOV_MAX_TRIES || '100', 10);
+    // Backoff (variable-order) generation: train orders 1..MARKOV_STATE_SIZE and
+    // fall back to shorter states at dead ends. MARKOV_BACKOFF_MIN_CONTINUATIONS
+    // (default 1) also backs off from states with fewer distinct next words.
+    const markovBackoff = process.env.MARKOV_BACKOFF === 'true';
+    const markovBackoffMinContinuations = parseInt(process.env.MARKOV_BACKOFF_MIN_CONTINUATIONS || '1', 10) || 1;
+    // Sentence-aware generation: start on a capitalized sentence start and only
+    // finish on a sentence terminator.
+    const markovSentences = process.env.MARKOV_SENTENCES === 'true';
+    // Originality guard (both off unless set): reject posts sharing more than
+    // MARKOV_MAX_OVERLAP_WORDS consecutive words, or more than
+    // MARKOV_MAX_OVERLAP_RATIO (0-1) of their words, with one source text.
+    let markovMaxOverlapWords = parseInt(process.env.MARKOV_MAX_OVERLAP_WORDS, 10);
+    if (!Number.isFinite(markovMaxOverlapWords) || markovMaxOverlapWords < 1) {
+        markovMaxOverlapWords = null;
+    }
+    let markovMaxOverlapRatio = parseFloat(process.env.MARKOV_MAX_OVERLAP_RATIO);
+    if (!Number.isFinite(markovMaxOverlapRatio) || markovMaxOverlapRatio <= 0 || markovMaxOverlapRatio > 1) {
+        markovMaxOverlapRatio = null;
+    }
+
+    // Candidate posts generated per run; the best-scoring one is posted (see
+    // rankCandidates). Default 1, which posts the first that fits: scoring
+    // originality reads and indexes the whole corpus, which the stored model
+    // otherwise spares every run, so ranking is opt-in like the guard.
+    let postCandidates = parseInt(process.env.POST_CANDIDATES || '1', 10);
+    if (!Number.isFinite(postCandidates) || postCandidates < 1) {
+        postCandidates = 1;
+    }
+    postCandidates = Math.min(postCandidates, MAX_POST_CANDIDATES);
+
+    // Vote feedback (see applyVotes): upvoted posts are trained again at
+    // VOTE_UPVOTE_WEIGHT (default 3, 0 disables) and downvoted posts' n-grams
+    // are scaled by VOTE_DOWNVOTE_FACTOR (default 0.25, 1 disables).
+    let voteUpvoteWeight = parseFloat(process.env.VOTE_UPVOTE_WEIGHT);
+    if (!Number.isFinite(voteUpvoteWeight) || voteUpvoteWeight < 0) {
+        voteUpvoteWeight = 3;
+    }
+    let voteDownvoteFactor = parseFloat(process.env.VOTE_DOWNVOTE_FACTOR);
+    if (!Number.isFinite(voteDownvoteFactor) || voteDownvoteFactor <= 0 || voteDownvoteFactor > 1) {
+        voteDownvoteFactor = 0.25;
+    }
 
     // Probability (0-1) that a /run or scheduled tick actually posts. Default 0.3.
     // Set to 1 to always post (useful for testing with DEBUG_MODE on).
@@ -85,14 +159,25 @@ async function loadConfig() {
         postProbability = 0.3;
     }
 
-    // Parse optional array parameters
+    // Parse optional array parameters. No default accounts: the old defaults
+    // ("Mastodon.social", "bsky.social") are instances, not accounts to fetch.
     const mastodonSourceAccounts = process.env.MASTODON_SOURCE_ACCOUNTS
-        ? process.env.MASTODON_SOURCE_ACCOUNTS.split(',').map(a => a.trim())
-        : ['Mastodon.social'];
+        ? process.env.MASTODON_SOURCE_ACCOUNTS.split(',').map(a => a.trim()).filter(a => a.length > 0)
+        : [];
     
     const blueskySourceAccounts = process.env.BLUESKY_SOURCE_ACCOUNTS
-        ? process.env.BLUESKY_SOURCE_ACCOUNTS.split(',').map(a => a.trim())
-        : ['bsky.social'];
+        ? process.env.BLUESKY_SOURCE_ACCOUNTS.split(',').map(a => a.trim()).filter(a => a.length > 0)
+        : [];
+
+    // Source fetching: pages per account (default 1) and whether to skip replies
+    // and reblogs/reposts (both default true — they are mostly other people's
+    // words or half a conversation).
+    let sourcePagesPerAccount = parseInt(process.env.SOURCE_PAGES_PER_ACCOUNT || '1', 10);
+    if (!Number.isFinite(sourcePagesPerAccount) || sourcePagesPerAccount < 1) {
+        sourcePagesPerAccount = 1;
+    }
+    const sourceExcludeReplies = process.env.SOURCE_EXCLUDE_REPLIES !== 'false';
+    const sourceExcludeReblogs = process.env.SOURCE_EXCLUDE_REBLOGS !== 'false';
 
     // Parse optional string parameters
     const excludedWords = process.env.EXCLUDED_WORDS
@@ -108,22 +193,46 @@ async function loadConfig() {
     // Create configuration object
     CONFIG = {
         debug: process.env.DEBUG_MODE === 'true',
+        // Names of the platforms posted to, replied on and harvested from.
+        platforms,
         mastodon: {
             url: process.env.MASTODON_API_URL,
             token: process.env.MASTODON_ACCESS_TOKEN
         },
         bluesky: {
-            service: process.env.BLUESKY_API_URL,
+            service: process.env.BLUESKY_API_URL || 'https://bsky.social',
             identifier: process.env.BLUESKY_USERNAME,
             password: process.env.BLUESKY_PASSWORD
         },
+        // Optional third posting target; posts there only when both are set.
+        threads: {
+            url: process.env.THREADS_API_URL || 'https://graph.threads.net/v1.0',
+            userId: process.env.THREADS_USER_ID,
+            token: process.env.THREADS_ACCESS_TOKEN
+        },
         markovStateSize,
         markovMinChars,
         markovMaxChars,
         markovMaxTries,
+        markovBackoff,
+        markovBackoffMinContinuations,
+        markovSentences,
+        markovMaxOverlapWords,
+        markovMaxOverlapRatio,
         postProbability,
+        postCandidates,
+        voteUpvoteWeight,
+        voteDownvoteFactor,
         mastodonSourceAccounts,
         blueskySourceAccounts,
+        // Keyed by platform adapter name, for the harvester.
+        sourceAccounts: {
+            mastodon: mastodonSourceAccounts,
+            bluesky: blueskySourceAccounts
+        },
+        sourcePagesPerAccount,
+        sourceExcludeReplies,
+        sourceExcludeReblogs,
         excludedWords,
         excludedWordsRegex
     };
@@ -182,14 +291,161 @@ function cleanText(text) {
 }
 
 // Markov Chain Implementation
+// Bumped whenever the serialized model shape changes; older stored models are
+// then ignored and rebuilt from the corpus.
+const MARKOV_MODEL_VERSION = 3;
+
+// End-of-text marker recorded as a transition after the last state of every
+// training text, so generation can end where source texts end. A control
+// character, so it never collides with a whitespace-split word (cleanText
+// strips control characters from the corpus).
+const END_OF_TEXT = '\u0003';
+
+// Start-of-text marker in the reverse index (see _getReverseIndex): the state it
+// precedes opened a training text, so backward growth may stop there.
+const START_OF_TEXT = '\u0002';
+
+// Keyword matching ignores case and surrounding punctuation, so "cats" matches
+// "Cats," in the corpus.
+function normalizeWord(word) {
+    return word.toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+}
+
+// Sentence boundaries for sentence-aware generation: a word ending in . ! ? or
+// an ellipsis (optionally followed by closing quotes/brackets) ends a sentence;
+// one starting with a capital letter or digit (optionally after an opening
+// quote/bracket) can start one.
+function endsSentence(word) {
+    return /[.!?\u2026]["')\]\u201d\u2019]*$/u.test(word);
+}
+
+function startsSentence(word) {
+    return /^["'([\u201c\u2018]?[\p{Lu}\p{N}]/u.test(word);
+}
+
+// Seeded generation: a seed is a uint32, so it fits on a feedback record and a
+// URL. Numeric strings are taken as-is, other strings are hashed (djb2), and
+// anything else means "no seed".
+function normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return Math.floor(seed) >>> 0;
+    }
+    if (typeof seed === 'string' && seed.trim().length > 0) {
+        const trimmed = seed.trim();
+        if (/^\d+$/.test(trimmed)) {
+            return Number(trimmed) >>> 0;
+        }
+        let hash = 5381;
+        for (let i = 0; i < trimmed.length; i++) {
+            hash = (((hash << 5) + hash) + trimmed.charCodeAt(i)) >>> 0;
+        }
+        return hash;
+    }
+    return null;
+}
+
+function randomSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+}
+
+// Deterministic PRNG (mulberry32) returning floats in [0, 1) like Math.random.
+// The same seed and model always yield the same sequence.
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    };
+}
+
+// Pick a key from a Map of key -> count, with probability proportional to its
+// count. Keys in `exclude` are skipped. Returns null when nothing is left.
+function pickWeighted(counts, exclude = null, random = Math.random) {
+    let total = 0;
+    for (const [key, count] of counts) {
+        if (!exclude || !exclude.has(key)) {
+            total += count;
+        }
+    }
+    if (total <= 0) {
+        return null;
+    }
+
+    let remaining = random() * total;
+    let last = null;
+    for (const [key, count] of counts) {
+        if (exclude && exclude.has(key)) {
+            continue;
+        }
+        remaining -= count;
+        last = key;
+        if (remaining < 0) {
+            return key;
+        }
+    }
+    // Only reached through floating-point drift on the final subtraction.
+    return last;
+}
+
+// Map of key -> count <-> flat [key, count, key, count, ...] array, the compact
+// form counts take in a serialized model.
+function flattenCounts(counts) {
+    const flat = [];
+    for (const [key, count] of counts) {
+        flat.push(key, count);
+    }
+    return flat;
+}
+
+function inflateCounts(flat) {
+    const counts = new Map();
+    for (let i = 0; i < flat.length; i += 2) {
+        counts.set(flat[i], flat[i + 1]);
+    }
+    return counts;
+}
+
 class MarkovChain {
-    constructor(stateSize = 2) {
+    // `chain` maps each state to a Map of next word -> times seen, and
+    // `startStates` maps each opening state to its count. Sampling by count is
+    // equivalent to picking from the full list of duplicates, without storing
+    // every duplicate. `startStates` is the start-of-text marker; the matching
+    // end-of-text marker is an END_OF_TEXT transition. `sentenceStarts` counts
+    // the states that open a capitalized sentence (at a text start or right
+    // after a sentence terminator), for sentence-aware generation.
+    //
+    // With `backoff`, every order from 1 to stateSize is trained into the same
+    // `chain` (a state's order is its word count, so orders never collide) and
+    // generation can fall back to shorter states when the full-size state runs
+    // out of continuations.
+    //
+    // `texts` keeps the training texts for the originality guard in generate.
+    // They are not part of the serialized model (the corpus already stores
+    // them); a model loaded from KV gets them back through setSourceTexts.
+    constructor(stateSize = 2, { backoff = false } = {}) {
         this.stateSize = stateSize;
+        this.backoff = backoff;
         this.chain = new Map();
-        this.startStates = [];
+        this.startStates = new Map();
+        this.sentenceStarts = new Map();
+        this.texts = [];
+        this.overlapIndex = null;
+        this.reverseIndex = null;
     }
 
-    async addData(texts) {
+    // Replace the texts the originality guard compares against, without
+    // training on them.
+    setSourceTexts(texts) {
+        this.texts = texts.filter(text => typeof text === 'string' && text.trim().length > 0);
+        this.overlapIndex = null;
+    }
+
+    // `weight` scales the counts the texts add, so a text trained at weight 3
+    // counts as three copies of it (see applyVotes).
+    async addData(texts, { weight = 1 } = {}) {
         if (!Array.isArray(texts) || texts.length === 0) {
             throw new Error('No valid training data found');
         }
@@ -199,43 +455,147 @@ class MarkovChain {
             throw new Error('No valid training data found');
         }
 
+        // concat, not push(...): spreading a large corpus as arguments overflows the stack.
+        this.texts = this.texts.concat(validTexts);
+        this.overlapIndex = null;
+        this.reverseIndex = null;
+
+        const lowestOrder = this.backoff ? 1 : this.stateSize;
         for (const text of validTexts) {
             const words = text.trim().split(/\s+/);
-            if (words.length < this.stateSize) continue;
-
-            for (let i = 0; i <= words.length - this.stateSize; i++) {
-                const state = words.slice(i, i + this.stateSize).join(' ');
-                const nextWord = words[i + this.stateSize];
-
-                // Single Map lookup instead of has/set/get (three hashes of the
-                // same key) — this loop runs ~855k times for a 45k-entry corpus.
-                let transitions = this.chain.get(state);
-                if (!transitions) {
-                    transitions = [];
-                    this.chain.set(state, transitions);
-                }
-                if (nextWord) {
-                    transitions.push(nextWord);
-                }
 
-                if (i === 0) {
-                    this.startStates.push(state);
+            for (let order = lowestOrder; order <= this.stateSize; order++) {
+                for (let i = 0; i <= words.length - order; i++) {
+                    const state = words.slice(i, i + order).join(' ');
+                    const nextWord = words[i + order];
+
+                    // Single Map lookup instead of has/set/get (three hashes of the
+                    // same key) — this loop runs ~855k times for a 45k-entry corpus.
+                    let transitions = this.chain.get(state);
+                    if (!transitions) {
+                        transitions = new Map();
+                        this.chain.set(state, transitions);
+                    }
+                    const next = nextWord || END_OF_TEXT;
+                    transitions.set(next, (transitions.get(next) || 0) + weight);
+
+                    if (order === this.stateSize) {
+                        if (i === 0) {
+                            this.startStates.set(state, (this.startStates.get(state) || 0) + weight);
+                        }
+                        if ((i === 0 || endsSentence(words[i - 1])) && startsSentence(words[i])) {
+                            this.sentenceStarts.set(state, (this.sentenceStarts.get(state) || 0) + weight);
+                        }
+                    }
                 }
             }
         }
 
-        if (this.startStates.length === 0) {
+        if (this.startStates.size === 0) {
             throw new Error('No valid training data found');
         }
     }
 
-    async generate({ minChars = 100, maxChars = 280, maxTries = 100 } = {}) {
+    // Scale down, by `factor` (0-1), the counts of every transition and start
+    // state the texts contain, so their n-grams become less likely without
+    // disappearing. Each is scaled once per call however often the texts repeat
+    // it. Texts aren't trained on, and n-grams the model lacks are ignored.
+    penalize(texts, factor) {
+        const scaled = new Set();
+        const scale = (counts, key, id) => {
+            if (counts.has(key) && !scaled.has(id)) {
+                scaled.add(id);
+                counts.set(key, counts.get(key) * factor);
+            }
+        };
+
+        const lowestOrder = this.backoff ? 1 : this.stateSize;
+        for (const text of texts.filter(text => typeof text === 'string' && text.trim().length > 0)) {
+            const words = text.trim().split(/\s+/);
+            for (let order = lowestOrder; order <= this.stateSize; order++) {
+                for (let i = 0; i <= words.length - order; i++) {
+                    const state = words.slice(i, i + order).join(' ');
+                    const transitions = this.chain.get(state);
+                    if (transitions) {
+                        const next = words[i + order] || END_OF_TEXT;
+                        scale(transitions, next, `${state}\n${next}`);
+                    }
+                    if (order === this.stateSize) {
+                        if (i === 0) {
+                            scale(this.startStates, state, `start\n${state}`);
+                        }
+                        if ((i === 0 || endsSentence(words[i - 1])) && startsSentence(words[i])) {
+                            scale(this.sentenceStarts, state, `sentence\n${state}`);
+                        }
+                    }
+                }
+            }
+        }
+        this.reverseIndex = null;
+        return scaled.size;
+    }
+
+    // `minContinuations` only matters in backoff mode: a state with fewer
+    // distinct next words than this is passed over for a lower order.
+    //
+    // With `sentences`, posts open at a capitalized sentence start and only
+    // finish on a sentence terminator, stopping at the first one past minChars.
+    //
+    // With a `seed`, every random choice comes from a PRNG seeded with it, so
+    // the same model and seed reproduce the same post; the normalized seed is
+    // returned as `seed`.
+    //
+    // With a `keyword` (one or more words), every post contains it: generation
+    // starts from a state holding the keyword and grows the text backwards and
+    // then forwards (see _generateAround). With a `prefix`, every post starts
+    // with that phrase and only grows forwards. Both throw when the phrase
+    // isn't in the model.
+    //
+    // Originality guard: with `maxOverlapWords` and/or `maxOverlapRatio` set,
+    // candidates sharing a run of more than maxOverlapWords consecutive words,
+    // or more than maxOverlapRatio (0-1) of their words, with any single
+    // training text are rejected, and the winner's score is returned as
+    // `overlap` (see _overlap).
+    async generate({
+        minChars = 100,
+        maxChars = 280,
+        maxTries = 100,
+        minContinuations = 1,
+        sentences = false,
+        maxOverlapWords = null,
+        maxOverlapRatio = null,
+        seed = null,
+        keyword = null,
+        prefix = null
+    } = {}) {
+        const guarded = maxOverlapWords !== null || maxOverlapRatio !== null;
+        const normalizedSeed = normalizeSeed(seed);
+        const random = normalizedSeed === null ? Math.random : createRandom(normalizedSeed);
+        const withSeed = output => (normalizedSeed === null ? output : { ...output, seed: normalizedSeed });
+
+        const phrase = prefix || keyword;
+        const anchors = phrase ? this._findAnchors(phrase, { atStart: !!prefix }) : null;
+        if (anchors && anchors.length === 0) {
+            throw new Error(`Phrase not found in model: ${phrase}`);
+        }
+
         let attempt = 0;
         while (attempt < maxTries) {
             try {
-                const result = await this._generateOnce();
-                if (result.length >= minChars && result.length <= maxChars) {
-                    return { string: result };
+                const options = { minChars, maxChars, minContinuations, sentences, random };
+                const result = anchors
+                    ? await this._generateAround(anchors, { ...options, backwards: !prefix })
+                    : await this._generateOnce(options);
+                if (result.length >= minChars && result.length <= maxChars &&
+                    (!sentences || endsSentence(result))) {
+                    if (!guarded) {
+                        return withSeed({ string: result });
+                    }
+                    const overlap = this._overlap(result);
+                    if ((maxOverlapWords === null || overlap.words <= maxOverlapWords) &&
+                        (maxOverlapRatio === null || overlap.ratio <= maxOverlapRatio)) {
+                        return withSeed({ string: result, overlap });
+                    }
                 }
             } catch (error) {
                 if (error.message === 'No training data available') {
@@ -248,49 +608,307 @@ class MarkovChain {
         throw new Error('Failed to generate valid text within constraints');
     }
 
-    _generateOnce() {
-        if (this.startStates.length === 0) {
+    // How much of `text` is copied from a single training text: `words` is the
+    // longest run of consecutive words shared with one text, and `ratio` the
+    // largest fraction of `text`'s words covered by runs shared with one text.
+    // Only runs of two or more words count, so shared common words alone don't.
+    _overlap(text) {
+        const words = text.trim().split(/\s+/);
+        const index = this._getOverlapIndex();
+
+        let longestRun = 0;
+        const covered = new Map(); // text index -> Set of covered positions in `words`
+        let previousRuns = new Map(); // "t:p" -> run length (in word pairs) ending there
+
+        for (let i = 0; i < words.length - 1; i++) {
+            const postings = index.get(`${words[i]} ${words[i + 1]}`);
+            const runs = new Map();
+            if (postings) {
+                for (let j = 0; j < postings.length; j += 2) {
+                    const t = postings[j];
+                    const p = postings[j + 1];
+                    const run = (previousRuns.get(`${t}:${p - 1}`) || 0) + 1;
+                    runs.set(`${t}:${p}`, run);
+                    longestRun = Math.max(longestRun, run + 1);
+
+                    let positions = covered.get(t);
+                    if (!positions) {
+                        positions = new Set();
+                        covered.set(t, positions);
+                    }
+                    positions.add(i);
+                    positions.add(i + 1);
+                }
+            }
+            previousRuns = runs;
+        }
+
+        let mostCovered = 0;
+        for (const positions of covered.values()) {
+            mostCovered = Math.max(mostCovered, positions.size);
+        }
+        return { words: longestRun, ratio: words.length > 0 ? mostCovered / words.length : 0 };
+    }
+
+    // Word pair -> flat [textIndex, position, ...] postings over `texts`, built
+    // on first use and dropped whenever the texts change.
+    _getOverlapIndex() {
+        if (!this.overlapIndex) {
+            const index = new Map();
+            this.texts.forEach((text, t) => {
+                const words = text.trim().split(/\s+/);
+                for (let p = 0; p < words.length - 1; p++) {
+                    const pair = `${words[p]} ${words[p + 1]}`;
+                    let postings = index.get(pair);
+                    if (!postings) {
+                        postings = [];
+                        index.set(pair, postings);
+                    }
+                    postings.push(t, p);
+                }
+            });
+            this.overlapIndex = index;
+        }
+        return this.overlapIndex;
+    }
+
+    _generateOnce({ minChars = 0, maxChars = Infinity, minContinuations = 1, sentences = false, random = Math.random } = {}) {
+        if (this.startStates.size === 0) {
             throw new Error('No training data available');
         }
 
-        const startState = this.startStates[Math.floor(Math.random() * this.startStates.length)];
+        // Older models (and corpora without capitalized sentences) have no
+        // sentence starts; fall back to text starts.
+        const starts = sentences && this.sentenceStarts.size > 0 ? this.sentenceStarts : this.startStates;
+        const startState = pickWeighted(starts, null, random);
         // Keep the words as an array: deriving the next state from the accumulated
         // string meant re-splitting it for every candidate word (O(n^2) per post).
         const resultWords = startState.split(/\s+/);
-        const tailSize = this.stateSize - 1;
-        let currentState = startState;
         const usedStates = new Set([startState]);
-        let possibleNextWords = this.chain.get(currentState);
-
-        while (possibleNextWords && possibleNextWords.length > 0) {
-            const tail = resultWords.slice(-tailSize);
-            const count = possibleNextWords.length;
-            // Walk the candidates from a random offset instead of copying and
-            // sorting the whole list — popular states hold thousands of words and
-            // the first unused candidate almost always wins.
-            const offset = Math.floor(Math.random() * count);
-            let nextWord = null;
-            let nextState = null;
-
-            for (let i = 0; i < count; i++) {
-                const candidate = possibleNextWords[(offset + i) % count];
+        return this._growForwards(resultWords, usedStates, { minChars, maxChars, minContinuations, sentences, random });
+    }
+
+    // Append words to `resultWords` until the text is long enough to end, hits
+    // maxChars, or runs out of continuations, and return the joined text.
+    _growForwards(resultWords, usedStates, { minChars, maxChars, minContinuations, sentences, random }) {
+        let length = resultWords.join(' ').length;
+
+        while (length <= maxChars) {
+            const longEnough = length >= minChars;
+            const atSentenceEnd = endsSentence(resultWords[resultWords.length - 1]);
+            if (sentences && longEnough && atSentenceEnd) break;
+
+            // Back off, and ignore end-of-text markers, only while the text is
+            // still too short: past minChars ending is fine. In sentence mode a
+            // text may only end on a terminator.
+            const next = this._nextWord(resultWords, usedStates, {
+                allowBackoff: !longEnough,
+                allowEnd: longEnough && (!sentences || atSentenceEnd),
+                minContinuations,
+                random
+            });
+            if (!next) break;
+
+            resultWords.push(next.word);
+            usedStates.add(next.state);
+            length += 1 + next.word.length;
+        }
+
+        return resultWords.join(' ');
+    }
+
+    // Generate a text containing one of `anchors` (see _findAnchors). With
+    // `backwards`, the text first grows backwards from the anchor through the
+    // reverse index, using at most half of maxChars, until it reaches a text
+    // start (or, in sentence mode, a sentence start); then it grows forwards.
+    _generateAround(anchors, { minChars, maxChars, minContinuations, sentences, random, backwards = true }) {
+        const anchor = anchors[Math.floor(random() * anchors.length)];
+        const resultWords = [...anchor];
+        const usedStates = new Set();
+        for (let i = 0; i + this.stateSize <= resultWords.length; i++) {
+            usedStates.add(resultWords.slice(i, i + this.stateSize).join(' '));
+        }
+
+        if (backwards) {
+            const reverse = this._getReverseIndex();
+            let length = resultWords.join(' ').length;
+            while (length <= maxChars / 2) {
+                const front = resultWords.slice(0, this.stateSize).join(' ');
+                if (sentences && this.sentenceStarts.has(front)) break;
+                const predecessors = reverse.get(front);
+                if (!predecessors) break;
+
+                const rejected = new Set();
+                let previous = null;
+                while (previous === null) {
+                    const candidate = pickWeighted(predecessors, rejected, random);
+                    if (candidate === null || candidate === START_OF_TEXT) break;
+                    const state = [candidate, ...resultWords.slice(0, this.stateSize - 1)].join(' ');
+                    if (usedStates.has(state)) {
+                        rejected.add(candidate);
+                        continue;
+                    }
+                    usedStates.add(state);
+                    previous = candidate;
+                }
+                if (previous === null) break;
+
+                resultWords.unshift(previous);
+                length += 1 + previous.length;
+            }
+        }
+
+        return this._growForwards(resultWords, usedStates, { minChars, maxChars, minContinuations, sentences, random });
+    }
+
+    // Word sequences from the model that contain `phrase` (or, with `atStart`,
+    // open a training text with it). Each is one full-size state, extended
+    // along the chain when the phrase is longer than a state. The sequences
+    // keep the corpus's spelling, so a post never changes its words.
+    _findAnchors(phrase, { atStart = false } = {}) {
+        const target = phrase.trim().split(/\s+/).map(normalizeWord).filter(Boolean);
+        if (target.length === 0) {
+            return [];
+        }
+
+        const sameWord = (word, i) => normalizeWord(word) === target[i];
+        const anchors = [];
+        const candidates = atStart ? this.startStates.keys() : this.chain.keys();
+        for (const state of candidates) {
+            const words = state.split(' ');
+            if (words.length !== this.stateSize) continue;
+
+            if (target.length <= this.stateSize) {
+                const offsets = atStart ? [0] : words.map((_, i) => i);
+                if (offsets.some(offset => offset + target.length <= words.length &&
+                    target.every((_, i) => sameWord(words[offset + i], i)))) {
+                    anchors.push(words);
+                }
+                continue;
+            }
+
+            // Longer phrases: the state must hold its first words and the chain
+            // must continue with the rest, word by word.
+            if (!words.every(sameWord)) continue;
+            const sequence = [...words];
+            while (sequence.length < target.length) {
+                const transitions = this.chain.get(sequence.slice(-this.stateSize).join(' '));
+                const next = transitions && [...transitions.keys()].find(word =>
+                    word !== END_OF_TEXT && sameWord(word, sequence.length));
+                if (!next) break;
+                sequence.push(next);
+            }
+            if (sequence.length === target.length) {
+                anchors.push(sequence);
+            }
+        }
+        return anchors;
+    }
+
+    // Full-size state -> Map of preceding word -> count, derived from `chain`
+    // (each transition "a b" -> c means "b c" can be preceded by "a"). Text
+    // starts are preceded by START_OF_TEXT. Built on first use and dropped
+    // whenever the chain is retrained.
+    _getReverseIndex() {
+        if (!this.reverseIndex) {
+            const reverse = new Map();
+            const add = (state, word, count) => {
+                let predecessors = reverse.get(state);
+                if (!predecessors) {
+                    predecessors = new Map();
+                    reverse.set(state, predecessors);
+                }
+                predecessors.set(word, (predecessors.get(word) || 0) + count);
+            };
+
+            for (const [state, transitions] of this.chain) {
+                const words = state.split(' ');
+                if (words.length !== this.stateSize) continue;
+                const tail = words.slice(1);
+                for (const [next, count] of transitions) {
+                    if (next !== END_OF_TEXT) {
+                        add(tail.concat(next).join(' '), words[0], count);
+                    }
+                }
+            }
+            for (const [state, count] of this.startStates) {
+                add(state, START_OF_TEXT, count);
+            }
+            this.reverseIndex = reverse;
+        }
+        return this.reverseIndex;
+    }
+
+    // Choose the next word for `resultWords`, or null to stop (a dead end, or an
+    // end-of-text marker when `allowEnd`). Tries the full-size state first and,
+    // when backing off, each lower order in turn, skipping states with fewer
+    // than `minContinuations` next words. If every order is that thin, the
+    // highest order with any continuation is used.
+    _nextWord(resultWords, usedStates, { allowBackoff = false, allowEnd = true, minContinuations = 1, random = Math.random } = {}) {
+        // slice(-0) would return every word, so state size 1 needs an empty tail.
+        const tailSize = this.stateSize - 1;
+        const tail = tailSize > 0 ? resultWords.slice(-tailSize) : [];
+        const lowestOrder = this.backoff && allowBackoff ? 1 : this.stateSize;
+        const END = { end: true };
+
+        // Sample by count, rejecting words that would revisit a (full-size)
+        // state. Only the sampled word's state is built, so popular states with
+        // thousands of distinct next words stay cheap.
+        const sample = transitions => {
+            const rejected = new Set(allowEnd ? [] : [END_OF_TEXT]);
+            while (true) {
+                const candidate = pickWeighted(transitions, rejected, random);
+                if (candidate === null) return null;
+                if (candidate === END_OF_TEXT) return END;
                 const candidateState = tail.concat(candidate).join(' ');
                 if (!usedStates.has(candidateState)) {
-                    nextWord = candidate;
-                    nextState = candidateState;
-                    break;
+                    return { word: candidate, state: candidateState };
                 }
+                rejected.add(candidate);
+            }
+        };
+
+        const thin = [];
+        for (let order = this.stateSize; order >= lowestOrder; order--) {
+            const transitions = this.chain.get(resultWords.slice(-order).join(' '));
+            if (!transitions || transitions.size === 0) continue;
+            if (transitions.size < minContinuations) {
+                thin.push(transitions);
+                continue;
             }
+            const next = sample(transitions);
+            if (next) return next === END ? null : next;
+        }
+        for (const transitions of thin) {
+            const next = sample(transitions);
+            if (next) return next === END ? null : next;
+        }
+        return null;
+    }
 
-            if (nextWord === null) break;
+    // Compact, JSON-safe snapshot of the trained chain, restored by fromJSON.
+    // The Map becomes an array of [state, [word, count, ...]] entries so it can
+    // be split across KV values.
+    toJSON() {
+        return {
+            version: MARKOV_MODEL_VERSION,
+            stateSize: this.stateSize,
+            backoff: this.backoff,
+            startStates: flattenCounts(this.startStates),
+            sentenceStarts: flattenCounts(this.sentenceStarts),
+            chain: Array.from(this.chain, ([state, transitions]) => [state, flattenCounts(transitions)])
+        };
+    }
 
-            resultWords.push(nextWord);
-            currentState = nextState;
-            usedStates.add(nextState);
-            possibleNextWords = this.chain.get(currentState);
+    static fromJSON(data) {
+        if (!data || data.version !== MARKOV_MODEL_VERSION || !Array.isArray(data.chain)) {
+            throw new Error('Unsupported Markov model format');
         }
-
-        return resultWords.join(' ');
+        const markov = new MarkovChain(data.stateSize, { backoff: !!data.backoff });
+        markov.chain = new Map(data.chain.map(([state, flat]) => [state, inflateCounts(flat)]));
+        markov.startStates = inflateCounts(data.startStates || []);
+        markov.sentenceStarts = inflateCounts(data.sentenceStarts || []);
+        return markov;
     }
 }
 
@@ -330,86 +948,183 @@ async function fetchSourceTweets(env) {
 }
 
 async function fetchTextContent(env) {
-    // Fetch both recent posts and source tweets
-    const [posts, sourceTweets] = await Promise.all([
-        fetchRecentPosts(),
-        fetchSourceTweets(env)
-    ]);
-
+    const sourceTweets = await fetchSourceTweets(env);
     debug(`Fetched ${sourceTweets.length} tweets from source file`, 'info');
 
+    // With a corpus store, harvestSourcePosts has already appended the source
+    // accounts' new posts to it. Only fetch live posts when there is no store
+    // (local development) or it is still empty.
+    if (env && env.SOURCE_TWEETS && sourceTweets.length > 0) {
+        return sourceTweets;
+    }
+
+    const posts = await fetchRecentPosts();
     return [...posts, ...sourceTweets];
 }
 
-async function fetchRecentPosts() {
-    try {
-        const posts = [];
-        
-        // Log source accounts
-        debug(`Fetching posts from Bluesky accounts:\n ${CONFIG.blueskySourceAccounts.join('\n  - ')}`, 'info');
-        debug(`Fetching posts from Mastodon accounts:\n ${CONFIG.mastodonSourceAccounts.join('\n  - ')}`, 'info');
+// Fetch posts from every configured source account. `cursors` maps
+// `<platform>:<account>` to the cursor its adapter's authorFeed returned last
+// time (see harvestSourcePosts); accounts with a cursor only return posts after
+// it. Resolves to the cleaned texts and the advanced cursors.
+async function fetchSourceAccounts(cursors = {}) {
+    const texts = [];
+    const nextCursors = { ...cursors };
+    const sourceOptions = {
+        pages: CONFIG.sourcePagesPerAccount,
+        excludeReplies: CONFIG.sourceExcludeReplies,
+        excludeReblogs: CONFIG.sourceExcludeReblogs
+    };
 
+    // One account at a time, so a single bad account (typo, suspended, moved)
+    // doesn't drop the rest.
+    const collect = async (adapter, account) => {
+        const platform = adapter.name;
+        const key = `${platform}:${account}`;
+        const { updatedAt: _updatedAt, ...cursor } = cursors[key] || {};
         try {
-            // Fetch from Mastodon
-            const mastodonResponse = await fetch(`${CONFIG.mastodon.url}/api/v1/timelines/public`, {
-                headers: {
-                    'Authorization': `Bearer ${CONFIG.mastodon.token}`,
-                    'Accept': 'application/json'
-                }
-            });
-            
-            if (!mastodonResponse.ok) {
-                const errorData = await mastodonResponse.json();
-                debug('Mastodon API error', 'error', errorData);
-                throw new Error(`Mastodon API error: ${errorData.error || 'Unknown error'}`);
-            }
-
-            const mastodonData = await mastodonResponse.json();
-            
-            if (Array.isArray(mastodonData)) {
-                const mastodonPosts = mastodonData
-                    .filter(post => post && post.content)
-                    .map(post => cleanText(post.content))
-                    .filter(text => text.length > 0);
-                debug(`Processed ${mastodonPosts.length} valid Mastodon posts`, 'verbose');
-                posts.push(...mastodonPosts);
-            } else {
-                debug('Unexpected Mastodon API response format', 'error', mastodonData);
+            const { posts: accountPosts, cursor: next } = await adapter.authorFeed(account, { ...sourceOptions, cursor });
+            const cleaned = accountPosts
+                .map(post => cleanText(post.text))
+                .filter(text => text.length > 0);
+            debug(`Processed ${cleaned.length} valid ${platform} posts from ${account}`, 'verbose', { cursor });
+            for (const text of cleaned) texts.push(text);
+
+            if (next && Object.keys(next).length > 0) {
+                nextCursors[key] = { ...next, updatedAt: new Date().toISOString() };
             }
         } catch (error) {
-            debug(`Error fetching Mastodon posts: ${error.message}`, 'error');
+            debug(`Error fetching ${platform} posts from ${account}: ${error.message}`, 'error');
         }
-        
-        try {
-            // Get Bluesky auth token
-            const blueskyAuth = await getBlueskyAuth();
-            if (!blueskyAuth || !blueskyAuth.accessJwt) {
-                debug('Skipping Bluesky fetch due to authentication failure', 'error');
-            } else {
-                // Fetch from Bluesky
-                const blueskyResponse = await fetch(`${CONFIG.bluesky.service}/xrpc/app.bsky.feed.getTimeline`, {
-                    method: 'GET',
-                    headers: {
-                        'Authorization': `Bearer ${blueskyAuth.accessJwt}`
-                    }
-                });
+    };
 
-                const blueskyData = await blueskyResponse.json();
-                
-                if (blueskyData && blueskyData.feed && Array.isArray(blueskyData.feed)) {
-                    const blueskyPosts = blueskyData.feed
-                        .filter(item => item && item.post && item.post.record && item.post.record.text)
-                        .map(item => cleanText(item.post.record.text))
-                        .filter(text => text.length > 0);
-                    debug(`Processed ${blueskyPosts.length} valid Bluesky posts`, 'verbose');
-                    posts.push(...blueskyPosts);
-                } else {
-                    debug('Unexpected Bluesky API response format', 'error', blueskyData);
-                }
+    for (const adapter of enabledPlatforms()) {
+        const accounts = CONFIG.sourceAccounts[adapter.name] || [];
+        if (accounts.length === 0) {
+            continue;
+        }
+        debug(`Fetching posts from ${adapter.label} accounts:\n  - ${accounts.join('\n  - ')}`, 'info');
+        for (const account of accounts) {
+            await collect(adapter, account);
+        }
+    }
+
+    return { texts, cursors: nextCursors };
+}
+
+// Append the source accounts' new posts to the stored corpus, so it grows across
+// runs instead of only ever seeing each account's latest page. Cursors are saved
+// only after the corpus write succeeds, so a failed write is retried next run.
+// Resolves to the newly stored texts.
+async function harvestSourcePosts(env) {
+    try {
+        const cursors = await getSourceCursors(env);
+        const { texts, cursors: nextCursors } = await fetchSourceAccounts(cursors);
+
+        if (texts.length > 0) {
+            const stored = await storeSourceTweets(env, texts, true);
+            if (!stored) {
+                debug('Failed to append harvested posts; cursors left unchanged', 'error');
+                return [];
             }
-        } catch (error) {
-            debug(`Error fetching Bluesky posts: ${error.message}`, 'error');
         }
+        await storeSourceCursors(env, nextCursors);
+
+        debug(`Harvested ${texts.length} new source posts`, 'info');
+        return texts;
+    } catch (error) {
+        debug(`Error harvesting source posts: ${error.message}`, 'error');
+        return [];
+    }
+}
+
+// Trained-model persistence. Training on the full corpus is the expensive part
+// of a run, so the trained chain is stored in SOURCE_TWEETS and reused. It is
+// rebuilt from the corpus only when the corpus is uploaded (or the stored model
+// is missing or was trained with another MARKOV_STATE_SIZE/MARKOV_BACKOFF);
+// harvested posts are merged into it incrementally.
+//
+// The stored model has to keep up with the corpus: when saving a model fails,
+// the one left in storage is marked stale, so the next run rebuilds from the
+// corpus rather than generating from a model missing the newer texts.
+async function saveMarkovModel(env, markov) {
+    if (await storeMarkovModel(env, markov.toJSON())) {
+        return true;
+    }
+    debug('Failed to save Markov model; marking the stored one stale', 'error');
+    await markMarkovModelStale(env);
+    return false;
+}
+
+async function rebuildMarkovModel(env) {
+    const corpus = (await fetchSourceTweets(env)).filter(text => text.length > 0);
+    if (corpus.length === 0) {
+        debug('Corpus is empty; no Markov model to build', 'warn');
+        return null;
+    }
+
+    const markov = new MarkovChain(CONFIG.markovStateSize, { backoff: CONFIG.markovBackoff });
+    await markov.addData(corpus);
+    await saveMarkovModel(env, markov);
+    debug('Rebuilt Markov model from corpus', 'info', { texts: corpus.length, states: markov.chain.size });
+    return markov;
+}
+
+// The stored model, or null if there is none usable.
+async function loadStoredMarkovModel(env) {
+    const stored = await getMarkovModel(env);
+    if (!stored) {
+        return null;
+    }
+    if (stored.stateSize !== CONFIG.markovStateSize || !!stored.backoff !== CONFIG.markovBackoff) {
+        debug('Stored Markov model was trained with other settings; ignoring it', 'info', {
+            stored: { stateSize: stored.stateSize, backoff: !!stored.backoff },
+            configured: { stateSize: CONFIG.markovStateSize, backoff: CONFIG.markovBackoff }
+        });
+        return null;
+    }
+    try {
+        return MarkovChain.fromJSON(stored);
+    } catch (error) {
+        debug(`Ignoring stored Markov model: ${error.message}`, 'warn');
+        return null;
+    }
+}
+
+async function loadMarkovModel(env) {
+    return (await loadStoredMarkovModel(env)) || rebuildMarkovModel(env);
+}
+
+// Train newly harvested texts into the stored model and save it. When there is
+// no usable stored model, build one from the corpus (which already holds them).
+async function mergeIntoMarkovModel(env, texts) {
+    const markov = await loadStoredMarkovModel(env);
+    if (!markov) {
+        return rebuildMarkovModel(env);
+    }
+    await markov.addData(texts);
+    if (!(await saveMarkovModel(env, markov))) {
+        // This run still generates from the merged model in memory.
+        return markov;
+    }
+    debug('Merged harvested posts into Markov model', 'info', { texts: texts.length, states: markov.chain.size });
+    return markov;
+}
+
+// Rebuild the stored model after the corpus changed (called by /upload-tweets).
+// Resolves to whether a model was stored.
+async function refreshMarkovModel(env) {
+    try {
+        await loadConfig();
+        return !!(await rebuildMarkovModel(env));
+    } catch (error) {
+        debug(`Error rebuilding Markov model: ${error.message}`, 'error');
+        return false;
+    }
+}
+
+async function fetchRecentPosts() {
+    try {
+        const { texts: posts } = await fetchSourceAccounts();
         
         const validPosts = posts.filter(text => text && text.length > 0);
         debug(`Successfully fetched ${validPosts.length} total posts from social media`, 'info');
@@ -435,7 +1150,7 @@ async function fetchRecentPosts() {
 }
 
 // Post Generation
-async function generatePost(content) {
+async function generatePost(content, { seed = null } = {}) {
     if (!Array.isArray(content) || content.length === 0) {
         throw new Error('Content array is empty');
     }
@@ -446,116 +1161,226 @@ async function generatePost(content) {
     }
 
     try {
-        const markov = new MarkovChain(CONFIG.markovStateSize);
+        const markov = new MarkovChain(CONFIG.markovStateSize, { backoff: CONFIG.markovBackoff });
         await markov.addData(validContent);
-        return await markov.generate({
-            minChars: CONFIG.markovMinChars,
-            maxChars: CONFIG.markovMaxChars,
-            maxTries: CONFIG.markovMaxTries
-        });
+        return await generateFromChain(markov, { seed });
     } catch (error) {
         debug(`Error generating Markov chain: ${error.message}`, 'error');
         throw new Error(error.message);
     }
 }
 
-// Social Media Integration
-async function postToMastodon(content) {
-    try {
-        // Check if we're in debug mode
-        if (process.env.DEBUG_MODE === 'true') {
-            debug('Debug mode: Would post to Mastodon:', 'info', {
-                content,
-                platform: 'mastodon'
-            });
-            await recordContent({ type: 'post', platform: 'mastodon', content, model: 'markov' });
-            return true;
-        }
+// Generate a post from an already trained chain. `keyword`/`prefix` anchor it
+// to a phrase (see MarkovChain.generate).
+async function generateFromChain(markov, { seed = null, keyword = null, prefix = null } = {}) {
+    return markov.generate({ ...generationOptions(), seed, keyword, prefix });
+}
 
-        const response = await postMastodonStatus({ status: content, visibility: 'public' });
+// MarkovChain.generate options from the loaded config.
+function generationOptions() {
+    return {
+        minChars: CONFIG.markovMinChars,
+        maxChars: CONFIG.markovMaxChars,
+        maxTries: CONFIG.markovMaxTries,
+        minContinuations: CONFIG.markovBackoffMinContinuations,
+        sentences: CONFIG.markovSentences,
+        maxOverlapWords: CONFIG.markovMaxOverlapWords,
+        maxOverlapRatio: CONFIG.markovMaxOverlapRatio
+    };
+}
 
-        if (!response.ok) {
-            const errorData = await response.text();
-            debug('Failed to post to Mastodon', 'error', {
-                status: response.status,
-                statusText: response.statusText,
-                error: errorData
-            });
-            throw new Error(`Failed to post to Mastodon: ${errorData}`);
+// Apply the dashboard votes on posts (see feedback.js) to `markov` in memory:
+// upvoted posts are trained in again at CONFIG.voteUpvoteWeight, then the
+// n-grams of downvoted ones are scaled by CONFIG.voteDownvoteFactor. The
+// stored model is never touched, so a changed or cleared vote counts from the
+// next run. Upvoted posts also join the originality guard's texts, which keeps
+// the bot from simply reposting them. Resolves to the numbers applied.
+async function applyVotes(markov) {
+    const records = await listVoted({ type: 'post' });
+    const texts = (vote) => records
+        .filter(record => record.vote === vote)
+        .map(record => cleanText(record.content))
+        .filter(text => text.length > 0);
+    const upvoted = CONFIG.voteUpvoteWeight > 0 ? texts(1) : [];
+    const downvoted = CONFIG.voteDownvoteFactor < 1 ? texts(-1) : [];
+
+    if (upvoted.length > 0) {
+        await markov.addData(upvoted, { weight: CONFIG.voteUpvoteWeight });
+    }
+    if (downvoted.length > 0) {
+        markov.penalize(downvoted, CONFIG.voteDownvoteFactor);
+    }
+    if (upvoted.length > 0 || downvoted.length > 0) {
+        debug('Applied post votes to the Markov model', 'info', { upvoted: upvoted.length, downvoted: downvoted.length });
+    }
+    return { upvoted: upvoted.length, downvoted: downvoted.length };
+}
+
+// A model ready to generate from outside main (POST /generate, Markov
+// replies): the stored model, or one trained on the available content, with
+// the corpus handed to the originality guard when it is on and the post votes
+// applied. Resolves to `{ markov, options }`, options being the configured generate() options.
+async function prepareMarkovModel(env) {
+    await loadConfig();
+
+    let markov = env && env.SOURCE_TWEETS ? await loadMarkovModel(env) : null;
+    if (!markov) {
+        const content = await fetchTextContent(env);
+        markov = new MarkovChain(CONFIG.markovStateSize, { backoff: CONFIG.markovBackoff });
+        await markov.addData(content);
+    } else if (CONFIG.markovMaxOverlapWords !== null || CONFIG.markovMaxOverlapRatio !== null) {
+        markov.setSourceTexts(await fetchSourceTweets(env));
+    }
+    await applyVotes(markov);
+    return { markov, options: generationOptions() };
+}
+
+// Candidate posts for POST /generate: up to `count` texts containing `keyword`
+// (or starting with `prefix`), generated without posting or recording them.
+// With a `seed`, candidate i uses seed + i, so the whole batch is reproducible.
+// Throws when there is no model to generate from or the phrase isn't in it.
+async function generateCandidates(env, { keyword = null, prefix = null, count = 1, seed = null } = {}) {
+    const { markov } = await prepareMarkovModel(env);
+
+    const baseSeed = normalizeSeed(seed) ?? randomSeed();
+    const candidates = [];
+    for (let i = 0; i < count; i++) {
+        try {
+            candidates.push(await generateFromChain(markov, { seed: (baseSeed + i) >>> 0, keyword, prefix }));
+        } catch (error) {
+            if (error.message.startsWith('Phrase not found')) {
+                throw error;
+            }
+            debug(`Candidate ${i + 1} failed: ${error.message}`, 'warn');
         }
+    }
+    return candidates;
+}
 
-        const data = await response.json();
-        debug('Post created successfully', 'info', { 
-            id: data.id,
-            url: data.url
-        });
+// Candidate ranking. Each post is the best of CONFIG.postCandidates
+// generations, scored 0-1 on three counts and weighted:
+//   length       closeness to the middle of [minChars, maxChars]
+//   originality  1 minus the largest share of its words copied from one
+//                source text (the originality guard's ratio)
+//   repetition   1 minus the share of its word pairs that repeat within it
+// Candidates containing profanity or an EXCLUDED_WORDS word, or too similar to
+// a recent post (see fingerprints.js), are dropped outright rather than scored
+// down.
+const MAX_POST_CANDIDATES = 20;
+const SCORE_WEIGHTS = { length: 0.3, originality: 0.5, repetition: 0.2 };
+const PROFANITY_REGEX = /\b(?:fuck\w*|shit\w*|cunts?|bitch\w*|assholes?|bastards?|dicks?|piss(?:ed|ing)?|sluts?|whores?)\b/i;
+
+function isBlockedText(text) {
+    // search() ignores the precompiled regex's global lastIndex.
+    return PROFANITY_REGEX.test(text) || (!!CONFIG.excludedWordsRegex && text.search(CONFIG.excludedWordsRegex) !== -1);
+}
 
-        // Store the post in our cache using the numeric ID
+function repetitionScore(text) {
+    const words = text.toLowerCase().split(/\s+/).map(word => word.replace(/[^\p{L}\p{N}']/gu, '')).filter(Boolean);
+    if (words.length < 2) {
+        return 1;
+    }
+    const pairs = words.slice(1).map((word, i) => `${words[i]} ${word}`);
+    return new Set(pairs).size / pairs.length;
+}
+
+const roundScore = value => Math.round(value * 1000) / 1000;
+
+// Score one generated candidate (see above). `markov` supplies the source texts
+// for originality; without any, every candidate counts as original.
+function scoreCandidate(candidate, markov, { minChars, maxChars } = generationOptions()) {
+    const text = candidate.string;
+    const target = (minChars + maxChars) / 2;
+    const halfRange = Math.max((maxChars - minChars) / 2, 1);
+    const overlap = candidate.overlap || (markov.texts.length > 0 ? markov._overlap(text) : null);
+    const scores = {
+        length: roundScore(1 - Math.min(Math.abs(text.length - target) / halfRange, 1)),
+        originality: roundScore(overlap ? 1 - overlap.ratio : 1),
+        repetition: roundScore(repetitionScore(text))
+    };
+    const score = roundScore(Object.entries(SCORE_WEIGHTS)
+        .reduce((sum, [name, weight]) => sum + weight * scores[name], 0));
+    return { score, scores };
+}
+
+// Order generated candidates best first, dropping blocked ones and those that
+// repeat one of the `recent` post fingerprints. Resolves to
+// [{ ...candidate, score, scores }]; ties keep generation order.
+function rankCandidates(candidates, markov, { recent = [] } = {}) {
+    return candidates
+        .filter(candidate => {
+            const blocked = isBlockedText(candidate.string);
+            if (blocked) {
+                debug('Dropping candidate with a blocked word', 'info', { seed: candidate.seed });
+            }
+            return !blocked;
+        })
+        .filter(candidate => {
+            const duplicate = findDuplicate(candidate.string, recent);
+            if (duplicate) {
+                debug('Dropping candidate too similar to a recent post', 'info', { seed: candidate.seed, ...duplicate });
+            }
+            return !duplicate;
+        })
+        .map(candidate => ({ ...candidate, ...scoreCandidate(candidate, markov) }))
+        .sort((a, b) => b.score - a.score);
+}
+
+// The best of CONFIG.postCandidates posts generated from `markov`, candidate i
+// seeded with seed + i. Resolves to the winner with `score`, `scores` and
+// `runnersUp` ([{ string, seed, score, scores }]), or null if every candidate
+// was blocked or repeated one of the `recent` fingerprints. Throws if none
+// could be generated.
+async function generateRankedPost(markov, { seed, recent = [] }) {
+    const candidates = [];
+    for (let i = 0; i < CONFIG.postCandidates; i++) {
         try {
-            await storeRecentPost('mastodon', data.id, content);
-            await recordContent({ type: 'post', platform: 'mastodon', content, model: 'markov' });
-            debug('Post stored in cache', 'info', {
-                id: data.id,
-                content: content.substring(0, 50) + '...'
-            });
+            candidates.push(await generateFromChain(markov, { seed: (seed + i) >>> 0 }));
         } catch (error) {
-            debug('Error storing post:', 'error', error);
-            // Continue even if storage fails - we don't want to fail the post
+            debug(`Candidate ${i + 1} failed: ${error.message}`, 'warn');
         }
+    }
+    if (candidates.length === 0) {
+        throw new Error('Failed to generate valid text within constraints');
+    }
 
-        return true;
-    } catch (error) {
-        debug('Error posting to Mastodon:', 'error', error);
-        return false;
+    const [best, ...rest] = rankCandidates(candidates, markov, { recent });
+    if (!best) {
+        debug('Every candidate contained a blocked word or repeated a recent post', 'warn', { candidates: candidates.length });
+        return null;
     }
+    const runnersUp = rest.map(({ string, seed: runnerSeed, score, scores }) => ({ string, seed: runnerSeed, score, scores }));
+    debug('Ranked post candidates', 'info', { score: best.score, scores: best.scores, runnersUp: runnersUp.length });
+    return { ...best, runnersUp };
 }
 
-async function postToBluesky(content) {
+// Social Media Integration
+// Publish `content` through one platform adapter. `details` carries extra
+// fields for the feedback record (e.g. the seed). Resolves to whether it posted.
+async function postToPlatform(adapter, content, details = {}) {
+    const record = { type: 'post', platform: adapter.name, content, model: 'markov', ...details };
     try {
         // Check if we're in debug mode
         if (process.env.DEBUG_MODE === 'true') {
-            debug('Debug mode: Would post to Bluesky:', 'info', {
+            debug(`Debug mode: Would post to ${adapter.label}:`, 'info', {
                 content,
-                platform: 'bluesky'
+                platform: adapter.name
             });
-            await recordContent({ type: 'post', platform: 'bluesky', content, model: 'markov' });
+            await recordContent(record);
             return true;
         }
 
-        // Get auth token
-        const auth = await getBlueskyAuth();
-        if (!auth || !auth.accessJwt || !auth.did) {
-            throw new Error('Failed to authenticate with Bluesky');
-        }
-
-        debug('Posting to Bluesky', 'info', {
-            authenticated: true,
-            did: auth.did
-        });
+        const posted = await adapter.post(content);
+        debug('Post created successfully', 'info', { platform: adapter.name, ...posted });
 
-        const response = await createBlueskyRecord(auth, {
-            text: content,
-            createdAt: new Date().toISOString()
-        });
-
-        if (!response.ok) {
-            const errorData = await response.text();
-            debug('Failed to post to Bluesky', 'error', {
-                status: response.status,
-                statusText: response.statusText,
-                error: errorData
-            });
-            throw new Error(`Failed to post to Bluesky: ${errorData}`);
-        }
-
-        const data = await response.json();
-        debug('Post created successfully', 'info', { uri: data.uri });
-        
         // Store the post in our cache
         try {
-            await storeRecentPost('bluesky', data.uri, content);
-            await recordContent({ type: 'post', platform: 'bluesky', content, model: 'markov' });
-            debug('Post stored in cache', 'info', { uri: data.uri });
+            await storeRecentPost(adapter.name, posted.id, content);
+            await recordContent(record);
+            debug('Post stored in cache', 'info', {
+                id: posted.id,
+                content: content.substring(0, 50) + '...'
+            });
         } catch (error) {
             debug('Error storing post:', 'error', error);
             // Continue even if storage fails - we don't want to fail the post
@@ -563,43 +1388,45 @@ async function postToBluesky(content) {
 
         return true;
     } catch (error) {
-        debug('Error posting to Bluesky:', 'error', error);
+        debug(`Error posting to ${adapter.label}:`, 'error', error);
         return false;
     }
 }
 
-async function postToSocialMedia(content) {
+// Post to every enabled platform. Resolves to true if any of them took it.
+async function postToSocialMedia(content, details = {}) {
     try {
-        const results = await Promise.allSettled([
-            postToMastodon(content),
-            postToBluesky(content)
-        ]);
+        const adapters = enabledPlatforms();
+        const results = await Promise.allSettled(
+            adapters.map(adapter => postToPlatform(adapter, content, details)));
 
         let success = false;
-        
-        // Check Mastodon result
-        if (results[0].status === 'fulfilled' && results[0].value) {
-            debug('Successfully posted to Mastodon', 'essential');
-            success = true;
-        } else {
-            const error = results[0].reason || 'Unknown error';
-            debug(`Failed to post to Mastodon: ${error}`, 'error');
-        }
-
-        // Check Bluesky result
-        if (results[1].status === 'fulfilled' && results[1].value) {
-            debug('Successfully posted to Bluesky', 'essential');
-            success = true;
-        } else {
-            const error = results[1].reason || 'Unknown error';
-            debug(`Failed to post to Bluesky: ${error}`, 'error');
-        }
+        results.forEach((result, i) => {
+            const { label } = adapters[i];
+            if (result.status === 'fulfilled' && result.value) {
+                debug(`Successfully posted to ${label}`, 'essential');
+                success = true;
+            } else {
+                const error = result.reason || 'Unknown error';
+                debug(`Failed to post to ${label}: ${error}`, 'error');
+            }
+        });
 
         if (!success) {
             debug('Failed to post to any platform', 'error');
             return false;
         }
 
+        // Fingerprint it so later runs don't repeat it. It is out already, so
+        // a storage error here doesn't make the post a failure. Debug runs
+        // posted nothing, so they must not block the real post.
+        if (process.env.DEBUG_MODE !== 'true') {
+            try {
+                await recordFingerprint(content);
+            } catch (error) {
+                debug(`Error recording post fingerprint: ${error.message}`, 'warn');
+            }
+        }
         return true;
     } catch (error) {
         debug(`Error in postToSocialMedia: ${error.message}`, 'error');
@@ -607,8 +1434,87 @@ async function postToSocialMedia(content) {
     }
 }
 
+// Publish the approved drafts (approval mode, see drafts.js): posts through
+// postToSocialMedia, replies on their platform. With the posting schedule on,
+// approved posts wait for a due slot like generated ones (see checkSchedule):
+// at most one goes out per run, and the rest stay approved for later runs.
+// Each draft is claimed before it is sent, so overlapping runs don't send it
+// twice. A post too similar to one published since it was queued fails like
+// any other. A draft that fails is marked failed rather than retried. Resolves
+// to { published, failed } counts.
+async function publishApprovedDrafts() {
+    const counts = { published: 0, failed: 0 };
+    const approved = await listDrafts({ status: 'approved' });
+    const useScheduler = schedulerEnabled();
+    let slot = null;
+    if (useScheduler && approved.some(draft => draft.type === 'post')) {
+        // Not a tick of its own: the cron's main has just ticked.
+        const check = await checkSchedule(Date.now(), { tick: false });
+        if (check.post) {
+            slot = check.slot;
+            // In approval mode the slot goes to publishing an approved draft
+            // (see publishApprovedDrafts), not to writing one; while a post
+            // draft is still waiting, don't queue more behind it.
+            if (approvalMode() && (await listDrafts()).some(draft =>
+                draft.type === 'post' && ['pending', 'approved'].includes(draft.status))) {
+                debug('Skipping post: a post draft is waiting to be reviewed or published', 'info');
+                return;
+            }
+        } else {
+            debug(`Holding approved posts: ${check.reason}`, 'info', {
+                nextSlot: check.next === null ? null : new Date(check.next).toISOString()
+            });
+        }
+    }
+
+    for (const listed of approved) {
+        if (listed.type === 'post' && useScheduler && slot === null) {
+            continue;
+        }
+        const draft = await claimDraft(listed.id);
+        if (!draft) {
+            continue;
+        }
+        try {
+            const duplicate = draft.type === 'post'
+                ? findDuplicate(draft.content, await loadRecentFingerprints())
+                : null;
+            if (duplicate) {
+                throw new Error(`Too similar to a post from ${new Date(duplicate.postedAt).toISOString()}`);
+            }
+            const published = draft.type === 'reply'
+                ? await publishReplyDraft(draft)
+                : await postToSocialMedia(draft.content, draft.details);
+            if (!published) {
+                throw new Error('No platform accepted the post');
+            }
+            if (draft.type === 'post' && useScheduler) {
+                // Debug mode publishes nothing, so it mustn't use up the gap or cap.
+                await useSlot(slot, { postedAt: process.env.DEBUG_MODE === 'true' ? null : Date.now() });
+                slot = null;
+            }
+            await finishDraft(draft, { published: true });
+            counts.published += 1;
+        } catch (error) {
+            debug('Error publishing draft', 'error', { id: draft.id, type: draft.type, error: error.message });
+            await finishDraft(draft, { published: false, error: error.message });
+            counts.failed += 1;
+        }
+    }
+    if (counts.published + counts.failed > 0) {
+        debug('Published approved drafts', 'info', counts);
+    }
+    return counts;
+}
+
 // Main Execution
-async function main(env) {
+// `seed` (optional) makes generation reproducible; without one a random seed is
+// drawn. Either way it is logged and recorded on the feedback record, so any
+// post can be regenerated from the same model. With several candidates, the
+// seed is the first candidate's and the winner's own seed is recorded (with
+// POST_CANDIDATES=1 that seed alone reproduces it). `scheduled` marks a cron tick,
+// which posts when the scheduler (schedule.js) says so, if it's configured.
+async function main(env, { seed = null, scheduled = false } = {}) {
     try {
         // Load configuration (loadConfig sets the module-level CONFIG).
         await loadConfig();
@@ -618,37 +1524,112 @@ async function main(env) {
                 stateSize: CONFIG.markovStateSize,
                 minChars: CONFIG.markovMinChars,
                 maxChars: CONFIG.markovMaxChars,
-                maxTries: CONFIG.markovMaxTries
+                maxTries: CONFIG.markovMaxTries,
+                backoff: CONFIG.markovBackoff,
+                sentences: CONFIG.markovSentences,
+                maxOverlapWords: CONFIG.markovMaxOverlapWords,
+                maxOverlapRatio: CONFIG.markovMaxOverlapRatio
             },
             postProbability: CONFIG.postProbability,
+            postCandidates: CONFIG.postCandidates,
             mastodonAccounts: CONFIG.mastodonSourceAccounts,
             blueskyAccounts: CONFIG.blueskySourceAccounts,
             excludedWords: CONFIG.excludedWords
         });
 
-        // Post only some of the time (POST_PROBABILITY, default 0.3).
-        const threshold = CONFIG.postProbability;
-        const randomValue = Math.random();
-        debug(`Random value generated: ${(randomValue * 100).toFixed(2)}% (post threshold: ${(threshold * 100).toFixed(0)}%)`, 'info');
+        // Grow the stored corpus (and model) with the source accounts' new posts.
+        // Runs before the post gate so both keep growing on runs that don't post.
+        let markov = null;
+        if (env && env.SOURCE_TWEETS) {
+            const harvested = await harvestSourcePosts(env);
+            if (harvested.length > 0) {
+                markov = await mergeIntoMarkovModel(env, harvested);
+            }
+        }
 
-        if (randomValue > threshold) {
-            debug('Skipping post based on random chance', 'info');
-            return;
+        const useScheduler = schedulerEnabled();
+        let slot = null;
+        if (scheduled && useScheduler) {
+            const check = await checkSchedule();
+            if (!check.post) {
+                debug(`Skipping post: ${check.reason}`, 'info', {
+                    nextSlot: check.next === null ? null : new Date(check.next).toISOString()
+                });
+                return;
+            }
+            slot = check.slot;
+        } else {
+            // Post only some of the time (POST_PROBABILITY, default 0.3).
+            const threshold = CONFIG.postProbability;
+            const randomValue = Math.random();
+            debug(`Random value generated: ${(randomValue * 100).toFixed(2)}% (post threshold: ${(threshold * 100).toFixed(0)}%)`, 'info');
+
+            if (randomValue > threshold) {
+                debug('Skipping post based on random chance', 'info');
+                return;
+            }
         }
 
         debug('Proceeding with post', 'info');
 
-        // Fetch content for generation
-        const content = await fetchTextContent(env);
-        if (!content || content.length === 0) {
-            debug('No content available for generation', 'error');
-            return;
+        // Generate from the stored model when there is one; otherwise train on
+        // whatever content is available (local development, empty corpus).
+        if (!markov && env && env.SOURCE_TWEETS) {
+            markov = await loadMarkovModel(env);
         }
 
-        // Generate and post content
-        const post = await generatePost(content);
+        const generationSeed = normalizeSeed(seed) ?? randomSeed();
+        debug('Generating post', 'info', { seed: generationSeed });
+
+        if (markov) {
+            // A stored model carries no source texts; the originality guard
+            // and candidate ranking compare against the corpus, so hand it over.
+            if (CONFIG.markovMaxOverlapWords !== null || CONFIG.markovMaxOverlapRatio !== null ||
+                CONFIG.postCandidates > 1) {
+                markov.setSourceTexts(await fetchSourceTweets(env));
+            }
+        } else {
+            const content = await fetchTextContent(env);
+            if (!content || content.length === 0) {
+                debug('No content available for generation', 'error');
+                return;
+            }
+            markov = new MarkovChain(CONFIG.markovStateSize, { backoff: CONFIG.markovBackoff });
+            await markov.addData(content);
+        }
+        await applyVotes(markov);
+        const recent = await loadRecentFingerprints();
+        const post = await generateRankedPost(markov, { seed: generationSeed, recent });
+
+        // Post the generated content. A run that posts nothing (every
+        // candidate a near-duplicate, or no platform took it) leaves its
+        // schedule slot to the next tick.
         if (post) {
-            await postToSocialMedia(post.string);
+            if (post.overlap) {
+                debug('Generated post overlap with source texts', 'info', post.overlap);
+            }
+            // The runners-up are kept on the feedback record for later analysis.
+            const details = {
+                seed: post.seed,
+                ranking: CONFIG.postCandidates > 1
+                    ? { score: post.score, scores: post.scores, runnersUp: post.runnersUp }
+                    : null
+            };
+            if (approvalMode()) {
+                await queueDraft({ type: 'post', content: post.string, details });
+                return;
+            }
+            const posted = await postToSocialMedia(post.string, details);
+            if (posted && useScheduler) {
+                // Debug mode publishes nothing, so it mustn't count toward the
+                // gap or cap.
+                const postedAt = process.env.DEBUG_MODE === 'true' ? null : Date.now();
+                if (slot !== null) {
+                    await useSlot(slot, { postedAt });
+                } else if (postedAt !== null) {
+                    await recordPostTime(postedAt);
+                }
+            }
         }
     } catch (error) {
         debug('Error in main execution:', 'error', error);
@@ -656,4 +1637,4 @@ async function main(env) {
 }
 
 // Export for worker
-export { main, MarkovChain, generatePost, loadConfig, cleanText };
+export { main, MarkovChain, generatePost, generateCandidates, prepareMarkovModel, loadConfig, cleanText, harvestSourcePosts, refreshMarkovModel, postToSocialMedia, publishApprovedDrafts, rankCandidates, generateRankedPost, applyVotes };
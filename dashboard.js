@@ -1,6 +1,9 @@
 // Serves the feedback dashboard: a self-contained HTML page (no external assets)
 // that lists the bot's generated posts and replies and lets you upvote/downvote
-// each one. Votes are persisted via /api/vote and can be used to tune the model.
+// each one. Votes are persisted via /api/vote and weight later generations
+// (see feedback.js).
+// In approval mode it also shows the draft queue (/api/drafts), with Approve,
+// Edit and Reject on each draft and a button to publish the approved ones.
 
 export function renderDashboard() {
     return `<!DOCTYPE html>
@@ -90,6 +93,19 @@ export function renderDashboard() {
   }
   .actions button.danger { color: var(--down); border-color: var(--down); }
   .title-row { display: flex; align-items: baseline; justify-content: space-between; gap: 12px; }
+  .drafts { max-width: 820px; margin: 0 auto; padding: 16px 16px 0; }
+  .drafts h2 { margin: 0; font-size: 16px; }
+  .drafts .card { border-left: 3px solid var(--accent); }
+  .drafts .card.approved { border-left-color: var(--up); }
+  .drafts textarea {
+    width: 100%; min-height: 80px; padding: 8px; border-radius: 8px; resize: vertical;
+    border: 1px solid var(--border); background: var(--bg); color: var(--text); font: inherit;
+  }
+  .actions button.approve { color: var(--up); border-color: var(--up); }
+  .draft-error { color: var(--down); font-size: 13px; margin-top: 8px; }
+  .runners { margin-top: 8px; color: var(--muted); font-size: 13px; }
+  .runners summary { cursor: pointer; }
+  .runners ol { margin: 6px 0 0; padding-left: 20px; }
 </style>
 </head>
 <body>
@@ -113,6 +129,13 @@ export function renderDashboard() {
     <div class="models" id="models"></div>
   </div>
 </header>
+<section class="drafts" id="drafts" hidden>
+  <div class="title-row">
+    <h2 id="drafts-title">Drafts</h2>
+    <div class="actions"><button id="publish">Publish approved</button></div>
+  </div>
+  <div id="drafts-list"></div>
+</section>
 <main id="list"><div class="empty">Loading…</div></main>
 <script>
 (function () {
@@ -267,12 +290,46 @@ export function renderDashboard() {
       modelBadge.textContent = item.model;
       meta.appendChild(modelBadge);
     }
+    if (item.seed !== undefined && item.seed !== null) {
+      var seedBadge = document.createElement('span');
+      seedBadge.className = 'badge model';
+      seedBadge.title = 'Generation seed';
+      seedBadge.textContent = 'seed ' + item.seed;
+      meta.appendChild(seedBadge);
+    }
+    var ranking = item.ranking;
+    if (ranking && typeof ranking.score === 'number') {
+      var scoreBadge = document.createElement('span');
+      scoreBadge.className = 'badge model';
+      scoreBadge.title = Object.keys(ranking.scores || {}).map(function (k) {
+        return k + ' ' + ranking.scores[k];
+      }).join(', ');
+      scoreBadge.textContent = 'score ' + ranking.score;
+      meta.appendChild(scoreBadge);
+    }
     var time = document.createElement('span');
     time.className = 'time';
     time.textContent = fmtTime(item.createdAt);
     meta.appendChild(time);
     body.appendChild(meta);
 
+    // The candidates this post beat (candidate ranking), best first.
+    if (ranking && Array.isArray(ranking.runnersUp) && ranking.runnersUp.length) {
+      var runners = document.createElement('details');
+      runners.className = 'runners';
+      var summary = document.createElement('summary');
+      summary.textContent = ranking.runnersUp.length + ' runner' + (ranking.runnersUp.length === 1 ? '' : 's') + '-up';
+      runners.appendChild(summary);
+      var list = document.createElement('ol');
+      ranking.runnersUp.forEach(function (r) {
+        var li = document.createElement('li');
+        li.textContent = r.score + ' · ' + r.string;
+        list.appendChild(li);
+      });
+      runners.appendChild(list);
+      body.appendChild(runners);
+    }
+
     card.appendChild(body);
     return card;
   }
@@ -309,6 +366,157 @@ export function renderDashboard() {
     });
   }
 
+  // Draft queue (approval mode). Pending and approved drafts only; the
+  // section stays hidden when there are none and approval mode is off.
+  var drafts = [];
+  var editing = null;
+  var draftsEl = document.getElementById('drafts');
+  var draftsListEl = document.getElementById('drafts-list');
+
+  function draftButton(label, className, onclick) {
+    var btn = document.createElement('button');
+    btn.textContent = label;
+    if (className) btn.className = className;
+    btn.onclick = onclick;
+    return btn;
+  }
+
+  function reviewDraft(draft, action, content, errorEl) {
+    fetch('/api/drafts', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ id: draft.id, action: action, content: content })
+    }).then(function (res) {
+      return res.json().then(function (data) {
+        if (!res.ok) throw new Error(data.error || 'review failed');
+        editing = null;
+        loadDrafts();
+      });
+    }).catch(function (err) {
+      errorEl.textContent = err.message;
+    });
+  }
+
+  function renderDraft(draft) {
+    var card = document.createElement('div');
+    card.className = 'card' + (draft.status === 'approved' ? ' approved' : '');
+    var body = document.createElement('div');
+    body.className = 'body';
+    var errorEl = document.createElement('div');
+    errorEl.className = 'draft-error';
+
+    var textarea = null;
+    if (editing === draft.id) {
+      textarea = document.createElement('textarea');
+      textarea.value = draft.content || '';
+      body.appendChild(textarea);
+    } else {
+      var content = document.createElement('div');
+      content.className = 'content';
+      content.textContent = draft.content || '';
+      body.appendChild(content);
+    }
+
+    var details = draft.details || {};
+    if (details.context) {
+      var ctx = document.createElement('div');
+      ctx.className = 'context';
+      ctx.textContent = 'In reply to: ' + details.context;
+      body.appendChild(ctx);
+    }
+
+    var meta = document.createElement('div');
+    meta.className = 'meta';
+    [draft.type, draft.platform, draft.status].forEach(function (t) {
+      if (!t) return;
+      var badge = document.createElement('span');
+      badge.className = 'badge';
+      badge.textContent = t;
+      meta.appendChild(badge);
+    });
+    var time = document.createElement('span');
+    time.className = 'time';
+    time.textContent = fmtTime(draft.createdAt);
+    meta.appendChild(time);
+    body.appendChild(meta);
+
+    var actions = document.createElement('div');
+    actions.className = 'actions';
+    if (textarea) {
+      actions.appendChild(draftButton('Save', null, function () {
+        reviewDraft(draft, 'edit', textarea.value, errorEl);
+      }));
+      actions.appendChild(draftButton('Save & approve', 'approve', function () {
+        reviewDraft(draft, 'approve', textarea.value, errorEl);
+      }));
+      actions.appendChild(draftButton('Cancel', null, function () {
+        editing = null;
+        renderDrafts();
+      }));
+    } else {
+      if (draft.status === 'pending') {
+        actions.appendChild(draftButton('Approve', 'approve', function () {
+          reviewDraft(draft, 'approve', undefined, errorEl);
+        }));
+      }
+      actions.appendChild(draftButton('Edit', null, function () {
+        editing = draft.id;
+        renderDrafts();
+      }));
+      actions.appendChild(draftButton('Reject', 'danger', function () {
+        reviewDraft(draft, 'reject', undefined, errorEl);
+      }));
+    }
+    body.appendChild(actions);
+    body.appendChild(errorEl);
+
+    card.appendChild(body);
+    return card;
+  }
+
+  function renderDrafts() {
+    var pending = drafts.filter(function (d) { return d.status === 'pending'; }).length;
+    var approved = drafts.length - pending;
+    document.getElementById('drafts-title').textContent =
+      'Drafts (' + pending + ' pending, ' + approved + ' approved)';
+    document.getElementById('publish').disabled = approved === 0;
+    draftsListEl.textContent = '';
+    if (!drafts.length) {
+      var empty = document.createElement('div');
+      empty.className = 'empty';
+      empty.textContent = 'No drafts waiting for review.';
+      draftsListEl.appendChild(empty);
+      return;
+    }
+    drafts.forEach(function (draft) { draftsListEl.appendChild(renderDraft(draft)); });
+  }
+
+  function loadDrafts() {
+    fetch('/api/drafts').then(function (res) {
+      if (!res.ok) throw new Error('load failed');
+      return res.json();
+    }).then(function (data) {
+      drafts = (Array.isArray(data.items) ? data.items : []).filter(function (d) {
+        return d.status === 'pending' || d.status === 'approved';
+      });
+      draftsEl.hidden = !data.approvalMode && !drafts.length;
+      renderDrafts();
+    }).catch(function () {
+      draftsEl.hidden = true;
+    });
+  }
+
+  document.getElementById('publish').onclick = function () {
+    fetch('/api/drafts/publish', { method: 'POST' })
+      .then(function (res) { if (!res.ok) throw new Error('publish failed'); return res.json(); })
+      .then(function (data) {
+        if (data.failed) window.alert(data.failed + ' draft(s) failed to publish.');
+        loadDrafts();
+        load();
+      })
+      .catch(function () { window.alert('Failed to publish drafts.'); });
+  };
+
   function load() {
     listEl.textContent = '';
     var loading = document.createElement('div');
@@ -339,7 +547,10 @@ export function renderDashboard() {
     render();
   });
 
-  document.getElementById('refresh').onclick = load;
+  document.getElementById('refresh').onclick = function () {
+    loadDrafts();
+    load();
+  };
 
   document.getElementById('clear').onclick = function () {
     if (!window.confirm('Delete ALL feedback records? This cannot be undone.')) return;
@@ -349,6 +560,7 @@ export function renderDashboard() {
       .catch(function () { window.alert('Failed to clear feedback.'); });
   };
 
+  loadDrafts();
   load();
 })();
 </script>
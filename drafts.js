@@ -0,0 +1,166 @@
+// Draft queue for approval mode (APPROVAL_MODE=true). Generated posts and
+// replies are queued here instead of published; a human approves, edits or
+// rejects each one from the dashboard, and approved drafts are published by the
+// next cron run or POST /api/drafts/publish (see publishApprovedDrafts in
+// bot.js).
+//
+// Drafts live in POSTS_KV under `draft:<id>` as
+// { id, type, status, content, platform, notification, details, createdAt,
+// updatedAt }. `platform` and `notification` (the normalized notification, so
+// the reply can be sent later) are set for replies only; `details` is what the
+// feedback record gets once it's published (seed, model, context). Status moves
+// pending -> approved -> publishing -> published, or to rejected or failed;
+// finished drafts expire after a week so the dashboard keeps a short history.
+import { debug } from './log.js';
+import { getPostsKV } from './posts.js';
+import { getPlatformAdapter, enabledPlatforms } from './social.js';
+
+const DRAFT_PREFIX = 'draft:';
+const VALID_ACTIONS = ['approve', 'edit', 'reject'];
+const FINISHED_TTL = { expirationTtl: 7 * 24 * 60 * 60 };
+
+function approvalMode() {
+    return process.env.APPROVAL_MODE === 'true';
+}
+
+function draftId() {
+    return `${Date.now().toString(36)}-${Math.floor(Math.random() * 1e6).toString(36)}`;
+}
+
+async function saveDraft(draft) {
+    const finished = ['published', 'rejected', 'failed'].includes(draft.status);
+    await getPostsKV().put(`${DRAFT_PREFIX}${draft.id}`, JSON.stringify(draft), finished ? FINISHED_TTL : undefined);
+    return draft;
+}
+
+async function getDraft(id) {
+    const stored = await getPostsKV().get(`${DRAFT_PREFIX}${id}`);
+    return stored ? JSON.parse(stored) : null;
+}
+
+// Queue a generated post (`type` 'post') or reply ('reply', with its
+// `platform` and `notification`) for approval. Resolves to the draft.
+async function queueDraft({ type, content, platform = null, notification = null, details = {} }) {
+    const now = new Date().toISOString();
+    const draft = await saveDraft({
+        id: draftId(),
+        type,
+        status: 'pending',
+        content,
+        platform,
+        notification,
+        details,
+        createdAt: now,
+        updatedAt: now
+    });
+    debug('Queued draft for approval', 'info', { id: draft.id, type, platform });
+    return draft;
+}
+
+// Drafts oldest first, optionally only those with `status`. Follows KV
+// pagination, like listFeedback.
+async function listDrafts({ status = null } = {}) {
+    const kv = getPostsKV();
+    const keys = [];
+    let cursor;
+    let complete = false;
+    while (!complete) {
+        const res = await kv.list({ prefix: DRAFT_PREFIX, cursor });
+        keys.push(...res.keys);
+        complete = res.list_complete !== false;
+        cursor = res.cursor;
+    }
+
+    const drafts = [];
+    for (const raw of await Promise.all(keys.map(key => kv.get(key.name)))) {
+        try {
+            const draft = raw ? JSON.parse(raw) : null;
+            if (draft && (!status || draft.status === status)) {
+                drafts.push(draft);
+            }
+        } catch (error) {
+            debug('Skipping unreadable draft', 'warn');
+        }
+    }
+    return drafts.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// The longest text a draft may hold: its reply platform's limit, or for posts
+// the smallest limit among the platforms it will go to.
+function draftMaxLength(draft) {
+    if (draft.type === 'reply') {
+        return getPlatformAdapter(draft.platform)?.maxLength ?? Infinity;
+    }
+    return Math.min(...enabledPlatforms().map(adapter => adapter.maxLength));
+}
+
+// Apply a dashboard action to a pending or approved draft: 'approve' (with
+// optional edited `content`), 'edit' (new `content`, status unchanged) or
+// 'reject'. Resolves to the updated draft, or null if there's no such draft;
+// throws on an invalid action or content.
+async function reviewDraft(id, { action, content } = {}) {
+    if (!VALID_ACTIONS.includes(action)) {
+        throw new Error(`Action must be one of: ${VALID_ACTIONS.join(', ')}`);
+    }
+    const draft = await getDraft(id);
+    if (!draft) {
+        return null;
+    }
+    if (!['pending', 'approved'].includes(draft.status)) {
+        throw new Error(`Draft is already ${draft.status}`);
+    }
+
+    if (content !== undefined && action !== 'reject') {
+        const text = typeof content === 'string' ? content.trim() : '';
+        if (!text) {
+            throw new Error('Content must be a non-empty string');
+        }
+        const maxLength = draftMaxLength(draft);
+        if ([...text].length > maxLength) {
+            throw new Error(`Content is longer than ${maxLength} characters`);
+        }
+        draft.content = text;
+    } else if (action === 'edit') {
+        throw new Error('Missing content to edit');
+    }
+
+    if (action === 'approve') {
+        draft.status = 'approved';
+    } else if (action === 'reject') {
+        draft.status = 'rejected';
+    }
+    draft.updatedAt = new Date().toISOString();
+    debug('Reviewed draft', 'info', { id, action });
+    return saveDraft(draft);
+}
+
+// Claim an approved draft for publishing, so a cron run and POST
+// /api/drafts/publish running side by side don't both send it. Resolves to the
+// draft now marked publishing, or null if it's no longer approved.
+async function claimDraft(id) {
+    const draft = await getDraft(id);
+    if (!draft || draft.status !== 'approved') {
+        return null;
+    }
+    draft.status = 'publishing';
+    draft.updatedAt = new Date().toISOString();
+    return saveDraft(draft);
+}
+
+// Record the outcome of publishing a claimed draft.
+async function finishDraft(draft, { published, error = null }) {
+    draft.status = published ? 'published' : 'failed';
+    draft.error = error;
+    draft.updatedAt = new Date().toISOString();
+    return saveDraft(draft);
+}
+
+export {
+    approvalMode,
+    queueDraft,
+    listDrafts,
+    getDraft,
+    reviewDraft,
+    claimDraft,
+    finishDraft
+};
@@ -0,0 +1,94 @@
+// Bluesky rich-text facets. Bluesky posts are plain `text`; mentions, links and
+// hashtags only become live when the record carries `facets` that point at them
+// by UTF-8 byte range. Kept free of network code: mentions need a handle -> DID
+// lookup, which the caller passes in as `resolveHandle`.
+
+const encoder = new TextEncoder();
+
+// UTF-8 byte length of a string (facet indexes count bytes, not UTF-16 units).
+function byteLength(text) {
+    return encoder.encode(text).length;
+}
+
+// Handles are domain names: dot-separated labels, at least two of them.
+const MENTION_PATTERN = /(^|[\s(])@([a-zA-Z0-9](?:[a-zA-Z0-9-]*[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]*[a-zA-Z0-9])?)+)/g;
+const URL_PATTERN = /(^|[\s(])(https?:\/\/[^\s]+)/g;
+const TAG_PATTERN = /(^|\s)[#＃]([^\s#＃]+)/gu;
+
+// Bluesky's limit on a tag's length (without the '#').
+const MAX_TAG_LENGTH = 64;
+
+// Punctuation that ends a sentence rather than a link or tag.
+function trimTrailingPunctuation(value) {
+    let trimmed = value.replace(/[.,;:!?'"]+$/u, '');
+    // A closing parenthesis belongs to the link only if it opened one too.
+    if (trimmed.endsWith(')') && !trimmed.includes('(')) {
+        trimmed = trimmed.slice(0, -1).replace(/[.,;:!?'"]+$/u, '');
+    }
+    return trimmed;
+}
+
+// Every match of `pattern` in `text` as { start, end, value }: UTF-16 indexes
+// of the whole token, including its one-character sigil ('@' or '#') when
+// `sigil` is set. The first capture group is the separator before the token,
+// the second its value (cleaned by `clean`).
+function findAll(pattern, text, { sigil = false, clean = value => value } = {}) {
+    const matches = [];
+    for (const match of text.matchAll(pattern)) {
+        const value = clean(match[2]);
+        if (!value) continue;
+        const start = match.index + match[1].length;
+        matches.push({ start, end: start + (sigil ? 1 : 0) + value.length, value });
+    }
+    return matches;
+}
+
+function facet(text, { start, end }, feature) {
+    return {
+        index: {
+            byteStart: byteLength(text.slice(0, start)),
+            byteEnd: byteLength(text.slice(0, end))
+        },
+        features: [feature]
+    };
+}
+
+// Facets for the mentions, links and hashtags in `text`, in text order.
+// `resolveHandle(handle)` resolves to a DID or null; mentions it can't resolve
+// are left as plain text.
+async function buildFacets(text, { resolveHandle = async () => null } = {}) {
+    if (typeof text !== 'string' || text.length === 0) {
+        return [];
+    }
+
+    const facets = [];
+
+    const mentions = findAll(MENTION_PATTERN, text, { sigil: true });
+    const dids = await Promise.all(mentions.map(mention =>
+        Promise.resolve().then(() => resolveHandle(mention.value)).catch(() => null)));
+    mentions.forEach((mention, i) => {
+        if (dids[i]) {
+            facets.push(facet(text, mention, {
+                $type: 'app.bsky.richtext.facet#mention',
+                did: dids[i]
+            }));
+        }
+    });
+
+    for (const link of findAll(URL_PATTERN, text, { clean: trimTrailingPunctuation })) {
+        facets.push(facet(text, link, { $type: 'app.bsky.richtext.facet#link', uri: link.value }));
+    }
+
+    for (const tag of findAll(TAG_PATTERN, text, { sigil: true, clean: trimTrailingPunctuation })) {
+        // Purely numeric "tags" (#1) are not hashtags.
+        if (tag.value.length > MAX_TAG_LENGTH || /^\d+$/.test(tag.value)) continue;
+        facets.push(facet(text, tag, {
+            $type: 'app.bsky.richtext.facet#tag',
+            tag: tag.value
+        }));
+    }
+
+    return facets.sort((a, b) => a.index.byteStart - b.index.byteStart);
+}
+
+export { buildFacets, byteLength };
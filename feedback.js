@@ -1,5 +1,7 @@
 // Feedback storage: records the bot's generated posts and replies so they can be
-// upvoted/downvoted from the dashboard and used to tune the model over time.
+// upvoted/downvoted from the dashboard. Votes feed back into generation: post
+// votes weight the Markov model (applyVotes in bot.js) and upvoted replies
+// become few-shot examples in the reply prompt (replyExamples in replies.js).
 //
 // Records persist in POSTS_KV under a `feedback:` prefix, independent of the
 // short-lived `post:` cache in replies.js, so labels survive for training.
@@ -7,10 +9,18 @@
 // Posts are deduplicated by content: the same generated text sent to both
 // Mastodon and Bluesky is one logical post (stored once, with a `platforms`
 // list). Replies are unique per platform+id (each is a distinct response).
+//
+// Each record carrying a vote also has a marker key, `feedback:voted:` plus the
+// record key without the prefix, so generation (listVoted) lists and reads only
+// those instead of every record. One key per vote means concurrent votes never
+// overwrite each other's entry. `feedback:voted` itself notes that the markers
+// were built for the votes cast before they existed.
 import { debug } from './log.js';
 import { LocalStorage } from './kv.js';
 
 const FEEDBACK_PREFIX = 'feedback:';
+const VOTED_KEY = `${FEEDBACK_PREFIX}voted`;
+const VOTED_PREFIX = `${VOTED_KEY}:`;
 const VALID_TYPES = ['post', 'reply'];
 const VALID_VOTES = [-1, 0, 1];
 
@@ -45,13 +55,17 @@ function feedbackKey(type, platform, id) {
         : `${FEEDBACK_PREFIX}reply:${platform}:${id}`;
 }
 
-// List all feedback keys, following KV pagination so nothing is dropped.
-async function listAllKeys() {
+function votedKey(recordKey) {
+    return `${VOTED_PREFIX}${recordKey.slice(FEEDBACK_PREFIX.length)}`;
+}
+
+// List the keys under `prefix`, following KV pagination so nothing is dropped.
+async function listKeys(prefix) {
     const keys = [];
     let cursor;
     let complete = false;
     while (!complete) {
-        const res = await feedbackKV.list({ prefix: FEEDBACK_PREFIX, cursor });
+        const res = await feedbackKV.list({ prefix, cursor });
         for (const k of res.keys) keys.push(k);
         // LocalStorage returns no list_complete (=> undefined => treat as done).
         complete = res.list_complete !== false;
@@ -60,9 +74,19 @@ async function listAllKeys() {
     return keys;
 }
 
+// List all feedback record keys. The vote markers share the prefix but are not
+// records.
+async function listAllKeys() {
+    return (await listKeys(FEEDBACK_PREFIX)).filter(key => !key.name.startsWith(VOTED_KEY));
+}
+
 // Record a generated item so it can be rated. Posts dedupe by content, merging
 // the platform into an existing record; existing votes are preserved.
-async function recordContent({ type, platform, id, content, context = null, model = null }) {
+// `seed` is the generation seed for Markov posts (see main in bot.js), so the
+// post can be regenerated when debugging. `ranking` is how a post beat the
+// other candidates generated with it: its `score` and `scores`, and the
+// `runnersUp` with theirs (see rankCandidates in bot.js).
+async function recordContent({ type, platform, id, content, context = null, model = null, seed = null, ranking = null }) {
     if (!feedbackKV) {
         debug('Feedback storage not initialized, skipping record', 'warn');
         return null;
@@ -99,6 +123,8 @@ async function recordContent({ type, platform, id, content, context = null, mode
             content,
             context,
             model,
+            seed,
+            ranking,
             createdAt: new Date().toISOString(),
             vote: 0
         };
@@ -135,10 +161,38 @@ async function recordVote({ type, platform, id, vote }) {
     record.vote = vote;
     record.votedAt = new Date().toISOString();
     await feedbackKV.put(key, JSON.stringify(record));
+    if (vote === 0) {
+        await feedbackKV.delete(votedKey(key));
+    } else {
+        await feedbackKV.put(votedKey(key), String(vote));
+    }
     debug('Recorded vote', 'info', { key, vote });
     return record;
 }
 
+// Read the records stored under `names` as [{ name, record }], newest first,
+// optionally filtered by type. Missing and unparseable records are skipped.
+async function readRecords(names, type) {
+    const raws = await Promise.all(names.map(name => feedbackKV.get(name)));
+
+    const entries = [];
+    raws.forEach((raw, i) => {
+        if (!raw) {
+            return;
+        }
+        try {
+            const record = JSON.parse(raw);
+            if (!type || record.type === type) {
+                entries.push({ name: names[i], record });
+            }
+        } catch (parseError) {
+            debug('Skipping unparseable feedback record', 'warn', { key: names[i] });
+        }
+    });
+    entries.sort((a, b) => (b.record.createdAt || '').localeCompare(a.record.createdAt || ''));
+    return entries;
+}
+
 // List feedback records, newest first, optionally filtered by type.
 async function listFeedback({ type = null } = {}) {
     if (!feedbackKV) {
@@ -147,30 +201,47 @@ async function listFeedback({ type = null } = {}) {
 
     try {
         const keys = await listAllKeys();
-        const raws = await Promise.all(keys.map(key => feedbackKV.get(key.name)));
-
-        const records = [];
-        raws.forEach((raw, i) => {
-            if (!raw) {
-                return;
-            }
-            try {
-                const record = JSON.parse(raw);
-                if (!type || record.type === type) {
-                    records.push(record);
-                }
-            } catch (parseError) {
-                debug('Skipping unparseable feedback record', 'warn', { key: keys[i].name });
-            }
-        });
-        records.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
-        return records;
+        return (await readRecords(keys.map(key => key.name), type)).map(entry => entry.record);
     } catch (error) {
         debug('Error listing feedback:', 'error', error);
         return [];
     }
 }
 
+// Write the vote markers for every voted record, once, for the votes cast
+// before markers existed.
+async function buildVoteMarkers() {
+    const keys = await listAllKeys();
+    const voted = (await readRecords(keys.map(key => key.name), null))
+        .filter(entry => entry.record.vote === 1 || entry.record.vote === -1);
+    await Promise.all(voted.map(entry => feedbackKV.put(votedKey(entry.name), String(entry.record.vote))));
+    await feedbackKV.put(VOTED_KEY, new Date().toISOString());
+    debug('Built feedback vote markers', 'info', { voted: voted.length });
+}
+
+// List only the records with an up or down vote, newest first, optionally
+// filtered by type. Reads just the records that have a vote marker.
+async function listVoted({ type = null } = {}) {
+    if (!feedbackKV) {
+        return [];
+    }
+
+    try {
+        if (!(await feedbackKV.get(VOTED_KEY))) {
+            await buildVoteMarkers();
+        }
+        const names = (await listKeys(VOTED_PREFIX))
+            .map(key => `${FEEDBACK_PREFIX}${key.name.slice(VOTED_PREFIX.length)}`);
+        // A marker can outlive a cleared vote for a moment; the record decides.
+        return (await readRecords(names, type))
+            .filter(entry => entry.record.vote === 1 || entry.record.vote === -1)
+            .map(entry => entry.record);
+    } catch (error) {
+        debug('Error listing voted feedback:', 'error', error);
+        return [];
+    }
+}
+
 // Delete every feedback record. Returns the number removed.
 async function clearFeedback() {
     if (!feedbackKV) {
@@ -178,7 +249,8 @@ async function clearFeedback() {
     }
     try {
         const keys = await listAllKeys();
-        await Promise.all(keys.map(key => feedbackKV.delete(key.name)));
+        const markers = await listKeys(VOTED_PREFIX);
+        await Promise.all([...keys, ...markers].map(key => feedbackKV.delete(key.name)));
         debug('Cleared feedback records', 'info', { removed: keys.length });
         return keys.length;
     } catch (error) {
@@ -198,4 +270,4 @@ function summarizeFeedback(records) {
     }, { total: 0, up: 0, down: 0, unrated: 0 });
 }
 
-export { initFeedback, recordContent, recordVote, listFeedback, clearFeedback, summarizeFeedback };
+export { initFeedback, hashContent, recordContent, recordVote, listFeedback, listVoted, clearFeedback, summarizeFeedback };
@@ -0,0 +1,144 @@
+// Duplicate-post prevention across runs. The `post:` cache in posts.js only
+// keeps a day, so every published post also gets a MinHash fingerprint in a
+// long-lived index, and main drops candidates too similar to any post from the
+// last DUPLICATE_WINDOW_DAYS days before they reach postToSocialMedia.
+//
+// A fingerprint is the MinHash signature of the post's three-word shingles
+// (lowercased, punctuation stripped): for each of SIGNATURE_SIZE seeded hash
+// functions, the smallest hash of any shingle. The share of positions where two
+// signatures agree estimates the Jaccard similarity of their shingle sets, so
+// reworded or re-punctuated repeats match as well as exact ones.
+//
+// Configuration (both optional):
+//   DUPLICATE_WINDOW_DAYS     days a post blocks near-duplicates (default 30;
+//                             0 disables the check and the index)
+//   DUPLICATE_MAX_SIMILARITY  highest similarity (0-1) a new post may have to
+//                             any of them (default 0.5)
+//
+// The index lives in POSTS_KV under `fingerprints:index` as
+// [{ id, postedAt, signature }], `id` being the post's content hash (its
+// feedback record id) and `postedAt` epoch ms; entries past the window are
+// pruned whenever a post is recorded.
+import { debug } from './log.js';
+import { getPostsKV } from './posts.js';
+import { hashContent } from './feedback.js';
+
+const INDEX_KEY = 'fingerprints:index';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SHINGLE_SIZE = 3;
+const SIGNATURE_SIZE = 32;
+
+// One seed per hash function, spread by the golden-ratio constant.
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, i) => Math.imul(i + 1, 0x9e3779b9) >>> 0);
+
+function duplicateConfig() {
+    const days = parseFloat(process.env.DUPLICATE_WINDOW_DAYS);
+    const similarity = parseFloat(process.env.DUPLICATE_MAX_SIMILARITY);
+    return {
+        windowMs: (Number.isFinite(days) && days >= 0 ? days : 30) * DAY_MS,
+        maxSimilarity: Number.isFinite(similarity) && similarity > 0 && similarity <= 1 ? similarity : 0.5
+    };
+}
+
+// FNV-1a, then murmur3's finalizer so nearby seeds give unrelated hashes.
+function hash32(text, seed) {
+    let hash = (0x811c9dc5 ^ seed) >>> 0;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+    hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+    return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+// Three-word shingles of `text`; a text shorter than that is one shingle.
+function shingles(text) {
+    const words = (text || '').toLowerCase().split(/\s+/)
+        .map(word => word.replace(/[^\p{L}\p{N}']/gu, ''))
+        .filter(Boolean);
+    if (words.length <= SHINGLE_SIZE) {
+        return words.length > 0 ? [words.join(' ')] : [];
+    }
+    const result = new Set();
+    for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) {
+        result.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+    }
+    return [...result];
+}
+
+// MinHash signature of `text`, or null when it has no words.
+function fingerprint(text) {
+    const parts = shingles(text);
+    if (parts.length === 0) {
+        return null;
+    }
+    return SEEDS.map(seed => parts.reduce((min, part) => Math.min(min, hash32(part, seed)), 0xffffffff));
+}
+
+// Estimated Jaccard similarity (0-1) of two signatures.
+function similarity(a, b) {
+    if (!a || !b || a.length !== b.length) {
+        return 0;
+    }
+    return a.filter((value, i) => value === b[i]).length / a.length;
+}
+
+async function loadIndex() {
+    const stored = await getPostsKV().get(INDEX_KEY);
+    try {
+        const index = stored ? JSON.parse(stored) : [];
+        return Array.isArray(index) ? index : [];
+    } catch (error) {
+        debug('Ignoring unreadable fingerprint index', 'warn');
+        return [];
+    }
+}
+
+// Fingerprints of the posts inside the window at `now`; empty when the check
+// is disabled.
+async function loadRecentFingerprints(now = Date.now()) {
+    const { windowMs } = duplicateConfig();
+    if (windowMs === 0) {
+        return [];
+    }
+    return (await loadIndex()).filter(entry => entry.postedAt > now - windowMs);
+}
+
+// The most similar of `recent` (see loadRecentFingerprints) above
+// DUPLICATE_MAX_SIMILARITY, as { id, postedAt, similarity }, or null when
+// `text` is original enough.
+function findDuplicate(text, recent) {
+    const { maxSimilarity } = duplicateConfig();
+    const signature = fingerprint(text);
+    let match = null;
+    for (const entry of recent) {
+        const score = similarity(signature, entry.signature);
+        if (score > maxSimilarity && (!match || score > match.similarity)) {
+            match = { id: entry.id, postedAt: entry.postedAt, similarity: score };
+        }
+    }
+    return match;
+}
+
+// Add a published post to the index, dropping entries past the window.
+// Nothing is recorded while the check is disabled.
+async function recordFingerprint(text, now = Date.now()) {
+    const { windowMs } = duplicateConfig();
+    const signature = fingerprint(text);
+    if (windowMs === 0 || !signature) {
+        return;
+    }
+    const id = hashContent(text);
+    const index = (await loadIndex()).filter(entry => entry.postedAt > now - windowMs && entry.id !== id);
+    index.push({ id, postedAt: now, signature });
+    await getPostsKV().put(INDEX_KEY, JSON.stringify(index));
+}
+
+export {
+    duplicateConfig,
+    fingerprint,
+    similarity,
+    loadRecentFingerprints,
+    findDuplicate,
+    recordFingerprint
+};
@@ -0,0 +1,85 @@
+// AT Protocol identity: which PDS (personal data server) hosts an account.
+// Accounts aren't all on bsky.social, and they can migrate, so a repo's records
+// have to be read from (and written to) the PDS named in its DID document.
+import fetch from 'node-fetch';
+import { debug } from './log.js';
+
+// How long a resolved PDS is trusted before its DID document is fetched again.
+const PDS_CACHE_TTL_MS = 60 * 60 * 1000;
+
+const pdsCache = new Map();
+
+// Fetch the DID document for `did` from the network: plc.directory (or
+// BLUESKY_PLC_URL) for did:plc, the domain's well-known path for did:web.
+// Resolves to the document, or null.
+async function fetchDidDocument(did) {
+    let url;
+    if (did.startsWith('did:plc:')) {
+        url = `${process.env.BLUESKY_PLC_URL || 'https://plc.directory'}/${did}`;
+    } else if (did.startsWith('did:web:')) {
+        // did:web:example.com -> https://example.com/.well-known/did.json;
+        // extra colon-separated segments are a path, and %3A encodes a port.
+        const [host, ...path] = did.slice('did:web:'.length).split(':').map(decodeURIComponent);
+        url = path.length > 0
+            ? `https://${host}/${path.join('/')}/did.json`
+            : `https://${host}/.well-known/did.json`;
+    } else {
+        debug('Unsupported DID method', 'warn', { did });
+        return null;
+    }
+
+    const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+    if (!response.ok) {
+        debug('DID resolution failed', 'warn', { did, status: response.status });
+        return null;
+    }
+    return response.json();
+}
+
+let didResolver = fetchDidDocument;
+
+// Swap how DID documents are fetched: `resolver(did)` resolves to a document or
+// null. Tests pass a local stub; with no argument the network resolver is
+// restored. Clears the PDS cache either way.
+function initDidResolver(resolver) {
+    didResolver = resolver || fetchDidDocument;
+    pdsCache.clear();
+}
+
+// The PDS endpoint a DID document names (its #atproto_pds service), or null.
+function pdsEndpoint(didDoc) {
+    const service = (didDoc?.service || []).find(entry =>
+        (entry.id === '#atproto_pds' || entry.id === `${didDoc.id}#atproto_pds`) &&
+        entry.type === 'AtprotoPersonalDataServer');
+    const endpoint = typeof service?.serviceEndpoint === 'string' ? service.serviceEndpoint : null;
+    return endpoint ? endpoint.replace(/\/+$/, '') : null;
+}
+
+// The PDS hosting `did`, or null if it can't be resolved. Cached per isolate.
+async function resolvePds(did) {
+    const cached = pdsCache.get(did);
+    if (cached && Date.now() < cached.expires) {
+        return cached.pds;
+    }
+
+    try {
+        const didDoc = await didResolver(did);
+        // A document for some other DID says nothing about this one.
+        if (didDoc && didDoc.id !== did) {
+            debug('DID document does not match the DID', 'warn', { did, id: didDoc.id });
+            return null;
+        }
+        const pds = pdsEndpoint(didDoc);
+        if (pds) {
+            pdsCache.set(did, { pds, expires: Date.now() + PDS_CACHE_TTL_MS });
+        } else {
+            debug('No PDS in DID document', 'warn', { did });
+        }
+        return pds;
+    } catch (error) {
+        debug('Error resolving DID:', 'error', error);
+        return null;
+    }
+}
+
+export { initDidResolver, pdsEndpoint, resolvePds };
@@ -35,24 +35,16 @@ export class LocalStorage {
     }
 }
 
-async function storeSourceTweets(env, tweets, append = false) {
+export async function storeSourceTweets(env, tweets, append = false) {
     try {
-        let existingTweets = [];
         if (append) {
-            existingTweets = await getSourceTweets(env);
-            debug('Appending to existing tweets', 'info', {
-                existingCount: existingTweets.length,
-                newCount: tweets.length
-            });
+            return await appendSourceTweets(env, tweets);
         }
 
-        // Combine existing and new tweets if appending
-        const allTweets = append ? [...existingTweets, ...tweets] : tweets;
-        
         // Split tweets into batches to handle KV size limits
         const batches = [];
-        for (let i = 0; i < allTweets.length; i += BATCH_SIZE) {
-            batches.push(allTweets.slice(i, i + BATCH_SIZE));
+        for (let i = 0; i < tweets.length; i += BATCH_SIZE) {
+            batches.push(tweets.slice(i, i + BATCH_SIZE));
         }
 
         // Store each batch with a unique key
@@ -62,7 +54,7 @@ async function storeSourceTweets(env, tweets, append = false) {
 
         // Store the number of batches for later retrieval
         await env.SOURCE_TWEETS.put(`${SOURCE_TWEETS_KEY}_count`, batches.length.toString());
-        await env.SOURCE_TWEETS.put(`${SOURCE_TWEETS_KEY}_total`, allTweets.length.toString());
+        await env.SOURCE_TWEETS.put(`${SOURCE_TWEETS_KEY}_total`, tweets.length.toString());
 
         await Promise.all(promises);
         return true;
@@ -72,6 +64,46 @@ async function storeSourceTweets(env, tweets, append = false) {
     }
 }
 
+// Append by filling the last batch and adding new ones after it, rather than
+// reading and rewriting the whole corpus. The harvester appends a handful of
+// posts every cron run, so this keeps that to one or two KV writes.
+async function appendSourceTweets(env, tweets) {
+    if (tweets.length === 0) {
+        return true;
+    }
+    const countStr = await env.SOURCE_TWEETS.get(`${SOURCE_TWEETS_KEY}_count`);
+    const count = countStr ? parseInt(countStr, 10) : 0;
+    const total = await getTweetCount(env);
+
+    let lastIndex = count - 1;
+    let lastBatch = [];
+    if (lastIndex >= 0) {
+        const raw = await env.SOURCE_TWEETS.get(`${SOURCE_TWEETS_KEY}_${lastIndex}`);
+        lastBatch = raw ? JSON.parse(raw) : [];
+    } else {
+        lastIndex = 0;
+    }
+
+    debug('Appending to existing tweets', 'info', {
+        existingCount: total,
+        newCount: tweets.length
+    });
+
+    // Refill the last batch first, then spill into new batches.
+    const room = Math.max(0, BATCH_SIZE - lastBatch.length);
+    const batches = [lastBatch.concat(tweets.slice(0, room))];
+    for (let i = room; i < tweets.length; i += BATCH_SIZE) {
+        batches.push(tweets.slice(i, i + BATCH_SIZE));
+    }
+
+    await Promise.all(batches.map((batch, offset) =>
+        env.SOURCE_TWEETS.put(`${SOURCE_TWEETS_KEY}_${lastIndex + offset}`, JSON.stringify(batch))
+    ));
+    await env.SOURCE_TWEETS.put(`${SOURCE_TWEETS_KEY}_count`, (lastIndex + batches.length).toString());
+    await env.SOURCE_TWEETS.put(`${SOURCE_TWEETS_KEY}_total`, (total + tweets.length).toString());
+    return true;
+}
+
 export async function getSourceTweets(env) {
     try {
         // Get the number of batches
@@ -118,3 +150,132 @@ export async function getTweetCount(env) {
         return 0;
     }
 }
+
+// Per-account harvest cursors: `<platform>:<account>` -> the cursor the
+// adapter's authorFeed returned plus `updatedAt`. Its `since` is the newest
+// post id/time already ingested; Bluesky's also says where to resume a backlog
+// one run couldn't finish. Kept in one key so a harvest run costs one read and
+// one write however many accounts are configured.
+const SOURCE_CURSORS_KEY = 'source_cursors';
+
+export async function getSourceCursors(env) {
+    try {
+        const raw = await env.SOURCE_TWEETS.get(SOURCE_CURSORS_KEY);
+        return raw ? JSON.parse(raw) : {};
+    } catch (error) {
+        debug('Failed to get source cursors:', 'error', error);
+        return {};
+    }
+}
+
+export async function storeSourceCursors(env, cursors) {
+    await env.SOURCE_TWEETS.put(SOURCE_CURSORS_KEY, JSON.stringify(cursors));
+}
+
+// Trained Markov model, stored next to the corpus it was built from. The chain
+// entries are split across `markov_model_<generation>_<n>` keys (one model can
+// exceed the 25MB value cap); `markov_model_meta` holds everything else plus
+// the generation and batch count. Each store writes a new generation's batches,
+// then switches the meta key to it, then deletes the previous generation, so
+// a reader never combines one model's meta with another's batches. A reader
+// that loaded the old meta just before the switch finds its batches gone and
+// gets no model rather than a mixed one. Models stored before generations
+// existed use `markov_model_<n>` and are still read. A model marked stale (see
+// markMarkovModelStale) is not read at all, so the caller rebuilds it.
+const MARKOV_MODEL_KEY = 'markov_model';
+const MODEL_BATCH_SIZE = 50000;
+
+function modelBatchKey(generation, index) {
+    return generation ? `${MARKOV_MODEL_KEY}_${generation}_${index}` : `${MARKOV_MODEL_KEY}_${index}`;
+}
+
+async function getMarkovModelMeta(env) {
+    const metaStr = await env.SOURCE_TWEETS.get(`${MARKOV_MODEL_KEY}_meta`);
+    return metaStr ? JSON.parse(metaStr) : null;
+}
+
+export async function storeMarkovModel(env, model) {
+    try {
+        const { chain, ...meta } = model;
+        const batches = [];
+        for (let i = 0; i < chain.length; i += MODEL_BATCH_SIZE) {
+            batches.push(chain.slice(i, i + MODEL_BATCH_SIZE));
+        }
+
+        let previous = null;
+        try {
+            previous = await getMarkovModelMeta(env);
+        } catch (error) {
+            debug('Ignoring unreadable Markov model meta', 'warn');
+        }
+        const generation = `${Date.now().toString(36)}-${Math.floor(Math.random() * 1e6).toString(36)}`;
+
+        await Promise.all(batches.map((batch, index) =>
+            env.SOURCE_TWEETS.put(modelBatchKey(generation, index), JSON.stringify(batch))
+        ));
+        await env.SOURCE_TWEETS.put(`${MARKOV_MODEL_KEY}_meta`, JSON.stringify({
+            ...meta,
+            generation,
+            batches: batches.length,
+            updatedAt: new Date().toISOString()
+        }));
+
+        if (previous && previous.generation !== generation) {
+            const stale = [];
+            for (let i = 0; i < (previous.batches || 0); i++) {
+                stale.push(env.SOURCE_TWEETS.delete(modelBatchKey(previous.generation, i)));
+            }
+            await Promise.all(stale);
+        }
+        return true;
+    } catch (error) {
+        debug('Failed to store Markov model:', 'error', error);
+        return false;
+    }
+}
+
+// Flag the stored model as out of date with the corpus, e.g. when saving a
+// model trained on newly added texts failed. The meta keeps its generation, so
+// the next store still deletes that generation's batches. Resolves to whether
+// the flag was written.
+export async function markMarkovModelStale(env) {
+    try {
+        const stored = await getMarkovModelMeta(env);
+        if (stored && !stored.stale) {
+            await env.SOURCE_TWEETS.put(`${MARKOV_MODEL_KEY}_meta`, JSON.stringify({ ...stored, stale: true }));
+        }
+        return true;
+    } catch (error) {
+        debug('Failed to mark Markov model stale:', 'error', error);
+        return false;
+    }
+}
+
+export async function getMarkovModel(env) {
+    try {
+        const stored = await getMarkovModelMeta(env);
+        if (!stored) {
+            return null;
+        }
+        if (stored.stale) {
+            debug('Stored Markov model is stale', 'info');
+            return null;
+        }
+
+        const { batches, generation, updatedAt: _updatedAt, ...meta } = stored;
+        const promises = [];
+        for (let i = 0; i < batches; i++) {
+            promises.push(env.SOURCE_TWEETS.get(modelBatchKey(generation, i)));
+        }
+
+        const results = await Promise.all(promises);
+        if (results.some(batch => !batch)) {
+            debug('Stored Markov model is missing batches', 'warn');
+            return null;
+        }
+        return { ...meta, chain: results.map(batch => JSON.parse(batch)).flat() };
+    } catch (error) {
+        debug('Failed to retrieve Markov model:', 'error', error);
+        return null;
+    }
+}
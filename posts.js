@@ -21,7 +21,8 @@ function initPostsKV(namespace) {
     postsKV = namespace || localFallback;
 }
 
-// The POSTS_KV namespace. replies.js also uses it for `replied:*` markers.
+// The POSTS_KV namespace. replies.js also uses it for `replied:*` markers and
+// social.js for the persisted Bluesky session.
 function getPostsKV() {
     return postsKV;
 }
@@ -1,14 +1,6 @@
 import { debug } from './log.js';
-import { recordContent } from './feedback.js';
-import {
-    postMastodonStatus,
-    getMastodonStatus,
-    createBlueskyRecord,
-    getBlueskyAuth,
-    getMastodonNotifications,
-    listBlueskyNotifications,
-    updateBlueskySeen
-} from './social.js';
+import { recordContent, listVoted } from './feedback.js';
+import { getPlatformAdapter, replyPlatforms } from './social.js';
 import { stripHtml, stripMentions, normalizeWhitespace } from './text.js';
 import {
     getPostsKV,
@@ -17,6 +9,7 @@ import {
     getOriginalPost,
     storeRecentPost
 } from './posts.js';
+import { approvalMode, queueDraft } from './drafts.js';
 
 // Unique id for a reply generated in debug mode (there is no real post id).
 function debugId() {
@@ -30,9 +23,35 @@ function debugId() {
 const DEFAULT_AI_MODEL = '@cf/meta/llama-3.3-70b-instruct-fp8-fast';
 
 // Workers AI binding (env.AI), injected by the Worker at request/cron time.
+// Initializing it also drops the cached reply examples (see replyExamples).
 let aiBinding = null;
 function initAI(binding) {
     aiBinding = binding;
+    fewShotExamples = null;
+}
+
+// Markov model loader for the markov/hybrid reply engines, injected by the
+// Worker like the AI binding. It resolves to `{ markov, options }` (see
+// prepareMarkovModel in bot.js) and is called at most once per init, so a run
+// answering several mentions loads the model once.
+let markovLoader = null;
+let markovModel = null;
+function initMarkov(loader) {
+    markovLoader = loader;
+    markovModel = null;
+}
+
+// REPLY_ENGINE: 'ai' (Workers AI, the default), 'markov' (the trained Markov
+// model), or 'hybrid' (Workers AI, falling back to Markov whenever the AI is
+// unavailable or backing off).
+const REPLY_ENGINES = ['ai', 'markov', 'hybrid'];
+function getReplyEngine() {
+    const engine = (process.env.REPLY_ENGINE || 'ai').trim().toLowerCase();
+    if (!REPLY_ENGINES.includes(engine)) {
+        debug('Unknown REPLY_ENGINE, using ai', 'warn', { engine });
+        return 'ai';
+    }
+    return engine;
 }
 
 // The Workers AI model currently used for replies (also stored on feedback
@@ -107,96 +126,178 @@ function isTooOld(timestamp, context) {
     return false;
 }
 
-// Helper function to extract post ID from Mastodon URL
-function extractMastodonPostId(url) {
-    const match = url.match(/\/(\d+)$/);
-    return match ? match[1] : null;
+// Thread context: the conversation leading up to a mention, as turns of
+// { role: 'assistant' | 'user', content }, oldest first. The bot's own posts are
+// 'assistant' turns, everyone else's 'user' turns. Bounded by
+// REPLY_CONTEXT_MAX_TURNS and REPLY_CONTEXT_MAX_CHARS (0 turns disables it) so a
+// long thread can't blow up the prompt; the newest turns are kept.
+function replyContextLimits() {
+    const turns = parseInt(process.env.REPLY_CONTEXT_MAX_TURNS, 10);
+    const chars = parseInt(process.env.REPLY_CONTEXT_MAX_CHARS, 10);
+    return {
+        maxTurns: Number.isFinite(turns) && turns >= 0 ? turns : 6,
+        maxChars: Number.isFinite(chars) && chars > 0 ? chars : 2000
+    };
 }
 
-// Helper function to extract post ID from Bluesky URL
-function extractBlueskyPostId(url) {
-    debug('Extracting Bluesky post ID from URL:', 'verbose', url);
-    const match = url.match(/\/post\/([a-zA-Z0-9]+)$/);
-    debug('Match result:', 'verbose', match);
-    return match ? match[1] : null;
+const cleanTurnText = (text) => normalizeWhitespace(stripMentions(stripHtml(text || '')));
+
+// Chat models expect roles to alternate, so consecutive turns from the same
+// side are merged into one.
+function mergeTurns(turns) {
+    const merged = [];
+    for (const turn of turns) {
+        const last = merged[merged.length - 1];
+        if (last && last.role === turn.role) {
+            last.content = `${last.content}\n${turn.content}`;
+        } else {
+            merged.push({ ...turn });
+        }
+    }
+    return merged;
 }
 
-// Helper function to extract handle from Bluesky URL
-function extractBlueskyHandle(url) {
-    debug('Extracting Bluesky handle from URL:', 'verbose', url);
-    const match = url.match(/\/profile\/([^/]+)/);
-    debug('Match result:', 'verbose', match);
-    return match ? match[1] : null;
+// Keep the newest turns that fit the limits, then merge same-side runs.
+function boundHistory(turns, { maxTurns, maxChars } = replyContextLimits()) {
+    const kept = [];
+    let chars = 0;
+    for (let i = turns.length - 1; i >= 0 && kept.length < maxTurns; i--) {
+        const content = cleanTurnText(turns[i].content);
+        if (!content) continue;
+        if (chars + content.length > maxChars) break;
+        chars += content.length;
+        kept.unshift({ role: turns[i].role, content });
+    }
+    return mergeTurns(kept);
 }
 
-// Fetch post content from Mastodon URL
-async function fetchMastodonPost(url) {
+// The thread above a notification's post, from its platform adapter:
+// `history` is the conversation before it (see boundHistory) and `depth` the
+// number of posts above it (null if the thread couldn't be fetched). The chain
+// is fetched one level past the depth limit so an over-deep thread is
+// recognized.
+async function fetchThread(adapter, notification) {
+    const limits = replyContextLimits();
     try {
-        const postId = extractMastodonPostId(url);
-        if (!postId) {
-            throw new Error('Invalid Mastodon post URL');
+        const thread = await adapter.fetchThread(notification, {
+            turns: limits.maxTurns,
+            height: Math.max(limits.maxTurns, replyMaxThreadDepth() + 1)
+        });
+        if (!thread) {
+            return { history: [], depth: null };
         }
+        const turns = thread.ancestors.map(post => ({ role: post.own ? 'assistant' : 'user', content: post.text }));
+        const history = limits.maxTurns > 0 ? boundHistory(turns, limits) : [];
+        return { history, depth: thread.depth };
+    } catch (error) {
+        debug(`Error fetching ${adapter.label} thread:`, 'error', error);
+        return { history: [], depth: null };
+    }
+}
 
-        const response = await getMastodonStatus(postId);
+// Loop and flood protection. A thread deeper than REPLY_MAX_THREAD_DEPTH posts
+// is most likely a reply loop with another bot, and no author gets more than
+// REPLY_MAX_PER_AUTHOR_PER_HOUR replies in any hour. Mentions skipped for
+// either reason (or from a Mastodon account flagged `bot`) are marked replied
+// permanently, like any handled notification, so they aren't retried.
+function replyMaxThreadDepth() {
+    const depth = parseInt(process.env.REPLY_MAX_THREAD_DEPTH, 10);
+    return Number.isFinite(depth) && depth > 0 ? depth : 10;
+}
 
-        if (!response.ok) {
-            throw new Error('Failed to fetch Mastodon post');
-        }
+function replyMaxPerAuthorPerHour() {
+    const limit = parseInt(process.env.REPLY_MAX_PER_AUTHOR_PER_HOUR, 10);
+    return Number.isFinite(limit) && limit > 0 ? limit : 5;
+}
+
+// Per-author reply times live in POSTS_KV under `replylimit:<platform>:<author>`
+// as a JSON array of timestamps from the last hour.
+const AUTHOR_WINDOW_MS = 60 * 60 * 1000;
+const AUTHOR_LIMIT_TTL = { expirationTtl: 3600 };
 
-        const post = await response.json();
-        return stripHtml(post.content);
+async function recentRepliesTo(platform, author) {
+    const stored = await getPostsKV().get(`replylimit:${platform}:${author}`);
+    let times = [];
+    try {
+        times = stored ? JSON.parse(stored) : [];
     } catch (error) {
-        debug('Error fetching Mastodon post:', 'error', error);
-        return null;
+        debug('Ignoring unreadable reply limiter entry', 'warn', { platform, author });
     }
+    const cutoff = Date.now() - AUTHOR_WINDOW_MS;
+    return Array.isArray(times) ? times.filter(time => time > cutoff) : [];
 }
 
-// Fetch post content from Bluesky URL
-async function fetchBlueskyPost(url) {
-    try {
-        const postId = extractBlueskyPostId(url);
-        debug('Extracted post ID:', 'verbose', postId);
-        if (!postId) {
-            throw new Error('Invalid Bluesky post URL - could not extract post ID');
-        }
+async function isAuthorRateLimited(platform, author) {
+    if (!author) {
+        return false;
+    }
+    const limit = replyMaxPerAuthorPerHour();
+    const recent = await recentRepliesTo(platform, author);
+    if (recent.length >= limit) {
+        debug('Skipping mention: author reply limit reached', 'info', { platform, author, limit });
+        return true;
+    }
+    return false;
+}
 
-        const handle = extractBlueskyHandle(url);
-        debug('Extracted handle:', 'verbose', handle);
-        if (!handle) {
-            throw new Error('Invalid Bluesky URL format - could not extract handle');
-        }
+async function recordAuthorReply(platform, author) {
+    if (!author) {
+        return;
+    }
+    const recent = await recentRepliesTo(platform, author);
+    recent.push(Date.now());
+    await getPostsKV().put(`replylimit:${platform}:${author}`, JSON.stringify(recent), AUTHOR_LIMIT_TTL);
+}
 
-        const apiUrl = `${process.env.BLUESKY_API_URL}/xrpc/com.atproto.repo.getRecord?repo=${handle}&collection=app.bsky.feed.post&rkey=${postId}`;
-        debug('Fetching from URL:', 'verbose', apiUrl);
+function isTooDeep(depth, context) {
+    const maxDepth = replyMaxThreadDepth();
+    if (depth !== null && depth > maxDepth) {
+        debug('Skipping mention: thread deeper than the limit', 'info', { ...context, depth, maxDepth });
+        return true;
+    }
+    return false;
+}
 
-        const response = await fetch(apiUrl, {
-            method: 'GET',
-            headers: {
-                'Content-Type': 'application/json'
-            }
-        });
+// Helper function to extract post ID from Mastodon URL
+function extractMastodonPostId(url) {
+    const match = url.match(/\/(\d+)$/);
+    return match ? match[1] : null;
+}
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            debug('Bluesky API error:', 'error', errorText);
-            throw new Error(`Failed to fetch Bluesky post: ${response.status} ${response.statusText}`);
-        }
+// Helper function to extract post ID from Bluesky URL
+function extractBlueskyPostId(url) {
+    debug('Extracting Bluesky post ID from URL:', 'verbose', url);
+    const match = url.match(/\/post\/([a-zA-Z0-9]+)$/);
+    debug('Match result:', 'verbose', match);
+    return match ? match[1] : null;
+}
 
-        const post = await response.json();
-        debug('Received post data:', 'verbose', post);
-        return post.value.text;
-    } catch (error) {
-        debug('Error fetching Bluesky post:', 'error', error);
-        return null;
-    }
+// Helper function to extract handle from Bluesky URL
+function extractBlueskyHandle(url) {
+    debug('Extracting Bluesky handle from URL:', 'verbose', url);
+    const match = url.match(/\/profile\/([^/]+)/);
+    debug('Match result:', 'verbose', match);
+    return match ? match[1] : null;
 }
 
 // Fetch post content from URL
 async function fetchPostContent(postUrl) {
     if (postUrl.includes('mastodon') || postUrl.includes('hachyderm.io')) {
-        return await fetchMastodonPost(postUrl);
+        const postId = extractMastodonPostId(postUrl);
+        if (!postId) {
+            debug('Invalid Mastodon post URL', 'error', { postUrl });
+            return null;
+        }
+        return getPlatformAdapter('mastodon').fetchPost(postId);
     } else if (postUrl.includes('bsky.app')) {
-        return await fetchBlueskyPost(postUrl);
+        const postId = extractBlueskyPostId(postUrl);
+        const handle = extractBlueskyHandle(postUrl);
+        if (!postId || !handle) {
+            debug('Invalid Bluesky post URL', 'error', { postUrl, postId, handle });
+            return null;
+        }
+        // Read from the author's own PDS, which need not be ours.
+        return getPlatformAdapter('bluesky').fetchPost(`at://${handle}/app.bsky.feed.post/${postId}`);
     } else {
         throw new Error('Unsupported platform URL');
     }
@@ -226,8 +327,178 @@ function getFallbackResponse() {
     return fallbackResponses[index];
 }
 
-// Generate a reply using Workers AI (see DEFAULT_AI_MODEL above).
-async function generateReply(originalPost, replyContent) {
+function isAIBackingOff() {
+    return !!rateLimitState.resetTime && Date.now() < rateLimitState.resetTime;
+}
+
+// Few-shot examples: the newest upvoted replies (see feedback.js), up to
+// REPLY_FEW_SHOT_EXAMPLES (default 3, 0 disables), are added to the Workers AI
+// system prompt with the post each one answered, so replies drift towards the
+// ones people liked. Loaded once per initAI, like the Markov model.
+const FEW_SHOT_CONTEXT_CHARS = 200;
+let fewShotExamples = null;
+
+function replyFewShotCount() {
+    const count = parseInt(process.env.REPLY_FEW_SHOT_EXAMPLES, 10);
+    return Number.isFinite(count) && count >= 0 ? count : 3;
+}
+
+async function loadReplyExamples(limit) {
+    const examples = [];
+    for (const record of await listVoted({ type: 'reply' })) {
+        if (examples.length >= limit) break;
+        if (record.vote !== 1) continue;
+        const context = cleanTurnText(record.context).slice(0, FEW_SHOT_CONTEXT_CHARS);
+        const reply = cleanTurnText(record.content);
+        if (context && reply) {
+            examples.push({ context, reply });
+        }
+    }
+    return examples;
+}
+
+// Resolves to [{ context, reply }], newest first; empty when disabled or when
+// the feedback store can't be read.
+async function replyExamples() {
+    const limit = replyFewShotCount();
+    if (limit === 0) {
+        return [];
+    }
+    if (!fewShotExamples) {
+        fewShotExamples = loadReplyExamples(limit).catch(error => {
+            debug('Error loading reply examples:', 'warn', error);
+            return [];
+        });
+    }
+    return fewShotExamples;
+}
+
+// Markov replies are shorter than posts: they follow a mention, and Mastodon
+// prepends the user's handle.
+const MARKOV_REPLY_MIN_CHARS = 30;
+const MARKOV_REPLY_MAX_CHARS = 200;
+const MARKOV_REPLY_KEYWORDS = 5;
+
+// Words too common to say what a mention is about.
+const STOPWORDS = new Set([
+    'about', 'after', 'again', 'also', 'been', 'before', 'being', 'could', 'does', 'doing',
+    'from', 'have', 'having', 'here', 'into', 'just', 'like', 'more', 'most', 'only',
+    'other', 'over', 'really', 'same', 'should', 'some', 'such', 'than', 'that', 'their',
+    'them', 'then', 'there', 'these', 'they', 'this', 'those', 'very', 'were', 'what',
+    'when', 'where', 'which', 'while', 'will', 'with', 'would', 'your', 'yours'
+]);
+
+// Candidate keywords for a Markov reply, best first: the mention's own words
+// before the original post's, longer words before shorter ones.
+function extractKeywords(...texts) {
+    const keywords = [];
+    for (const text of texts) {
+        const words = normalizeWhitespace(stripMentions(stripHtml(text || '')))
+            .split(' ')
+            .map(word => word.toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ''))
+            .filter(word => word.length >= 4 && !STOPWORDS.has(word) && !/^https?:/.test(word));
+        const ranked = [...new Set(words)].sort((a, b) => b.length - a.length);
+        for (const word of ranked) {
+            if (!keywords.includes(word)) {
+                keywords.push(word);
+            }
+        }
+    }
+    return keywords.slice(0, MARKOV_REPLY_KEYWORDS);
+}
+
+// Generate a reply from the Markov model, seeded by keywords from the mention
+// (then the original post). Tries each keyword the model knows, then an
+// unanchored text. Resolves to `{ text, seed }` or null.
+async function generateMarkovReply(originalPost, replyContent) {
+    if (!markovLoader) {
+        debug('Markov model loader not initialized, cannot generate reply', 'error');
+        return null;
+    }
+
+    try {
+        if (!markovModel) {
+            markovModel = markovLoader();
+        }
+        const { markov, options } = await markovModel;
+        const keywords = extractKeywords(replyContent, originalPost);
+        const seed = Math.floor(Math.random() * 0x100000000);
+
+        for (const keyword of [...keywords, null]) {
+            try {
+                const result = await markov.generate({
+                    ...options,
+                    minChars: MARKOV_REPLY_MIN_CHARS,
+                    maxChars: MARKOV_REPLY_MAX_CHARS,
+                    keyword,
+                    seed
+                });
+                const text = normalizeWhitespace(stripMentions(result.string));
+                if (text) {
+                    debug('Generated Markov reply', 'info', { reply: text, keyword, seed });
+                    return { text, seed };
+                }
+            } catch (error) {
+                debug('Markov reply attempt failed', 'verbose', { keyword, error: error.message });
+            }
+        }
+        debug('No Markov reply generated', 'warn', { keywords });
+        return null;
+    } catch (error) {
+        // A failed load would fail again; let the next init retry it.
+        markovModel = null;
+        debug('Error generating Markov reply:', 'error', error);
+        return null;
+    }
+}
+
+// Generate a reply with the configured REPLY_ENGINE. Resolves to
+// `{ text, model, seed? }` or null; `model` is what produced the text (the
+// Workers AI model, 'markov', or 'fallback' for a canned response) and is
+// stored on the feedback record.
+async function composeReply(originalPost, replyContent, { history = [] } = {}) {
+    const engine = getReplyEngine();
+
+    if (engine === 'markov') {
+        const reply = await generateMarkovReply(originalPost, replyContent);
+        return reply && { ...reply, model: 'markov' };
+    }
+
+    if (engine === 'hybrid') {
+        if (aiBinding && !isAIBackingOff()) {
+            const text = await generateReply(originalPost, replyContent, { fallback: () => null, history });
+            if (text) {
+                return { text, model: getReplyModel() };
+            }
+            if (!isAIBackingOff()) {
+                // The AI answered but gave nothing usable; that is not a
+                // capacity problem, so don't paper over it.
+                return null;
+            }
+        }
+        debug('Workers AI unavailable, using Markov reply', 'info');
+        const reply = await generateMarkovReply(originalPost, replyContent);
+        return reply
+            ? { ...reply, model: 'markov' }
+            : { text: getFallbackResponse(), model: 'fallback' };
+    }
+
+    // A canned line handed back while the AI fails or backs off is credited
+    // to 'fallback', not to the model that never ran.
+    let usedFallback = false;
+    const fallback = () => {
+        usedFallback = true;
+        return getFallbackResponse();
+    };
+    const text = await generateReply(originalPost, replyContent, { fallback, history });
+    return text && { text, model: usedFallback ? 'fallback' : getReplyModel() };
+}
+
+// Generate a reply using Workers AI (see DEFAULT_AI_MODEL above). While the AI
+// is backing off, `fallback` supplies the reply instead. `history` is the
+// thread before the reply (see boundHistory); when given, it is sent as
+// alternating assistant/user messages instead of the single original post.
+async function generateReply(originalPost, replyContent, { fallback = getFallbackResponse, history = [] } = {}) {
     try {
         if (!originalPost || !replyContent) {
             debug('Missing required content for reply generation', 'error', {
@@ -253,24 +524,35 @@ async function generateReply(originalPost, replyContent) {
         const cleanReplyContent = clean(replyContent);
 
         // If we're still inside a backoff window, skip the call and use a fallback.
-        if (rateLimitState.resetTime && Date.now() < rateLimitState.resetTime) {
+        if (isAIBackingOff()) {
             debug('Workers AI backing off, using fallback response', 'warn', {
                 resetTime: new Date(rateLimitState.resetTime).toISOString()
             });
-            return getFallbackResponse();
+            return fallback();
         }
 
         // Tight system prompt keeps input tokens (and latency) low; the reply
         // itself is short, so max_tokens is capped well under the model default.
+        // The examples go in the system prompt rather than as extra turns, so
+        // they can't break the user/assistant alternation of the thread.
+        const examples = await replyExamples();
+        const examplesPrompt = examples.length > 0
+            ? `\n\nReplies of yours that people liked, for tone:\n${examples.map(example => `- To "${example.context}": ${example.reply}`).join('\n')}`
+            : '';
         const messages = [
             {
                 role: 'system',
-                content: 'You are a witty social media bot with a dry, playful sense of humor. Reply with ONE short quip — ideally a single sentence, always under 300 characters. Be clever and specific to what was said; never generic, never preachy, never an explanation of the joke. Stay good-natured, not mean. No @mentions, usernames, hashtags, emoji, or quotation marks around your reply. Output only the reply text itself.'
+                content: 'You are a witty social media bot with a dry, playful sense of humor. Reply with ONE short quip — ideally a single sentence, always under 300 characters. Be clever and specific to what was said; never generic, never preachy, never an explanation of the joke. Stay good-natured, not mean. No @mentions, usernames, hashtags, emoji, or quotation marks around your reply. Output only the reply text itself.' + examplesPrompt
             },
-            {
-                role: 'user',
-                content: `Original post: "${cleanOriginal}"\nReply to it: "${cleanReplyContent}"`
-            }
+            ...(history.length > 0
+                ? mergeTurns([...history, { role: 'user', content: cleanReplyContent }])
+                : [{
+                    role: 'user',
+                    // A fresh mention has no post above it: it is its own context.
+                    content: cleanOriginal === cleanReplyContent
+                        ? `Post mentioning you: "${cleanReplyContent}"`
+                        : `Original post: "${cleanOriginal}"\nReply to it: "${cleanReplyContent}"`
+                }])
         ];
 
         const model = getReplyModel();
@@ -292,7 +574,7 @@ async function generateReply(originalPost, replyContent) {
                 rateLimitState.backoffMinutes * 2,
                 rateLimitState.maxBackoffMinutes
             );
-            return getFallbackResponse();
+            return fallback();
         }
 
         // Successful call — clear any backoff state.
@@ -341,85 +623,101 @@ async function generateReply(originalPost, replyContent) {
     }
 }
 
-// Handle a reply on Mastodon
-async function handleMastodonReply(notification) {
+// Post a reply (`record` is its feedback record, with the text as `content`)
+// and note it everywhere a sent reply is tracked. Resolves to { id, url? }.
+// The author's reply count is the caller's: a drafted reply is counted when
+// it's queued, not again when it's sent.
+async function sendReply(adapter, notification, record) {
+    const posted = await adapter.reply(notification, record.content);
+    await storeRecentPost(adapter.name, posted.id, record.content);
+    await recordContent({ ...record, id: posted.id });
+    return posted;
+}
+
+// Publish an approved reply draft (see drafts.js). Resolves to true once it's
+// sent (or, in debug mode, recorded); throws if it can't be.
+async function publishReplyDraft(draft) {
+    const adapter = replyPlatforms().find(candidate => candidate.name === draft.platform);
+    if (!adapter) {
+        throw new Error(`Platform ${draft.platform} is not enabled for replies`);
+    }
+    const record = { type: 'reply', platform: adapter.name, content: draft.content, ...draft.details };
+    if (process.env.DEBUG_MODE === 'true') {
+        debug('Debug mode: Would have posted reply', 'info', { platform: adapter.name, content: draft.content });
+        await recordContent({ ...record, id: debugId() });
+        return true;
+    }
+    await sendReply(adapter, draft.notification, record);
+    return true;
+}
+
+// Answer one notification (normalized by its platform adapter). The flow is the
+// same on every platform; the adapter supplies what the notification responds
+// to, the thread above it, and how to post the reply.
+async function handleNotification(adapter, notification) {
+    const platform = adapter.name;
     try {
-        debug('Processing Mastodon reply...', 'info', {
+        debug(`Processing ${adapter.label} notification...`, 'info', {
             id: notification.id,
-            type: notification.type,
-            account: notification.account?.username,
-            status: {
-                id: notification.status.id,
-                content: notification.status.content,
-                in_reply_to_id: notification.status.in_reply_to_id
-            }
+            reason: notification.reason,
+            author: notification.author.handle,
+            text: notification.text
         });
 
-        if (isTooOld(notification.created_at, { platform: 'mastodon', id: notification.id })) {
+        // Load recent posts from storage if needed
+        await warmRecentPosts();
+
+        if (isTooOld(notification.createdAt, { platform, id: notification.id })) {
             return;
         }
 
         // Check if we've already replied to this notification
-        const replyKey = `replied:mastodon:${notification.id}`;
+        const replyKey = `replied:${platform}:${notification.id}`;
         const hasReplied = await getPostsKV().get(replyKey);
         if (hasReplied) {
             debug('Already replied to this notification', 'info', { replyKey });
             return;
         }
 
-        // Clean the content
-        const content = notification.status.content;
-        const cleanedContent = normalizeWhitespace(stripHtml(content));
-
-        debug('Cleaned content', 'info', {
-            original: content,
-            cleaned: cleanedContent
-        });
-
-        // Get the original post we're replying to
-        const originalPostId = notification.status.in_reply_to_id;
-        
-        // Try to get the original post from our cache first
-        let originalPost = await getOriginalPost('mastodon', originalPostId);
-        
-        // If not in cache, fetch it from Mastodon
-        if (!originalPost) {
-            debug('Original post not in cache, fetching from Mastodon...', 'info', { originalPostId });
-            
-            const response = await getMastodonStatus(originalPostId);
-
-            if (!response.ok) {
-                debug('Failed to fetch original post', 'error', {
-                    status: response.status,
-                    statusText: response.statusText
-                });
-                return;
-            }
-
-            const post = await response.json();
-            originalPost = post.content;
-            
-            // Store the post for future reference
-            await storeRecentPost('mastodon', originalPostId, originalPost);
+        // Never talk to other bots, and don't let one account flood us.
+        const author = notification.author;
+        if (author.bot) {
+            debug('Skipping mention from a bot account', 'info', { platform, author: author.handle });
+            await markReplied(replyKey, { permanent: true });
+            return;
+        }
+        if (await isAuthorRateLimited(platform, author.id)) {
+            await markReplied(replyKey, { permanent: true });
+            return;
         }
 
-        // If we still don't have the original post, skip
+        // The post being answered
+        const originalPost = await adapter.replyContext(notification);
         if (!originalPost) {
-            debug('Could not find original post, skipping', 'warn', { originalPostId });
+            debug('Could not find the post this notification responds to', 'info', {
+                platform,
+                reason: notification.reason,
+                id: notification.id,
+                recentPostKeys: recentPostKeys()
+            });
             return;
         }
 
-        // Check if this is a reply to our own post
-        const isOurPost = await getOriginalPost('mastodon', notification.status.id);
-        if (isOurPost) {
-            debug('Skipping reply to our own post', 'info', { postId: notification.status.id });
+        // Don't hold a conversation with ourselves
+        if (await getOriginalPost(platform, notification.postId)) {
+            debug('Skipping reply to our own post', 'info', { platform, postId: notification.postId });
             // Permanent: whether a post is ours never changes.
             await markReplied(replyKey, { permanent: true });
             return;
         }
 
-        // Generate and post the reply
-        const reply = await generateReply(originalPost, cleanedContent);
+        // Generate the reply, with the thread so far as context
+        const { history, depth } = await fetchThread(adapter, notification);
+        if (isTooDeep(depth, { platform, id: notification.id })) {
+            await markReplied(replyKey, { permanent: true });
+            return;
+        }
+        const reply = await composeReply(originalPost, notification.text, { history });
         if (!reply) {
             debug('No reply generated', 'warn');
             // Still mark as processed to prevent retries
@@ -427,274 +725,110 @@ async function handleMastodonReply(notification) {
             return;
         }
 
-        // Add the user mention to the reply
-        const userHandle = notification.account?.acct || notification.account?.username;
-        const replyWithMention = `@${userHandle} ${reply}`;
-
-        // Post the reply
-        if (process.env.DEBUG_MODE !== 'true') {
-            const response = await postMastodonStatus({
-                status: replyWithMention,
-                in_reply_to_id: notification.status.id,  // Reply to the notification that mentioned us
-                visibility: 'public'
-            });
-
-            if (!response.ok) {
-                debug('Failed to post reply', 'error', {
-                    status: response.status,
-                    statusText: response.statusText
-                });
-                return;
-            }
+        // Mention the author (on Bluesky the facet makes it a real mention),
+        // unless that would overflow the platform's post limit.
+        const withMention = author.handle ? `@${author.handle} ${reply.text}` : reply.text;
+        const content = [...withMention].length <= adapter.maxLength ? withMention : reply.text;
+        const record = {
+            type: 'reply',
+            platform,
+            content,
+            context: originalPost,
+            model: reply.model,
+            seed: reply.seed
+        };
 
-            const postedReply = await response.json();
-            await storeRecentPost('mastodon', postedReply.id, replyWithMention);
-            await recordContent({
+        if (approvalMode()) {
+            await queueDraft({
                 type: 'reply',
-                platform: 'mastodon',
-                id: postedReply.id,
-                content: replyWithMention,
-                context: originalPost,
-                model: getReplyModel()
+                platform,
+                content,
+                notification,
+                details: { context: originalPost, model: reply.model, seed: reply.seed }
             });
-
-            // Permanent: we really replied, and this notification stays in the
-            // Mastodon list forever, so the marker must outlive it.
+            // Permanent: the draft carries the reply from here, approved or not.
             await markReplied(replyKey, { permanent: true });
-
-            debug('Successfully posted reply', 'info', {
-                replyId: postedReply.id,
-                inReplyTo: notification.status.id,
-                userHandle,
-                content: replyWithMention
-            });
-        } else {
-            debug('Debug mode: Would have posted reply', 'info', {
-                content: replyWithMention,
-                inReplyTo: notification.status.id,
-                userHandle
-            });
-            await recordContent({
-                type: 'reply',
-                platform: 'mastodon',
-                id: debugId(),
-                content: replyWithMention,
-                context: originalPost,
-                model: getReplyModel()
-            });
-            // Even in debug mode, mark as replied to prevent duplicate processing
-            await markReplied(replyKey);
-        }
-    } catch (error) {
-        debug('Error handling Mastodon reply:', 'error', error);
-    }
-}
-
-// Handle replies on Bluesky
-async function handleBlueskyReply(notification) {
-    try {
-        debug('Processing Bluesky reply...', notification);
-
-        // Load recent posts from storage if needed
-        await warmRecentPosts();
-
-        if (isTooOld(notification.indexedAt || notification.record?.createdAt,
-            { platform: 'bluesky', uri: notification.uri })) {
-            return;
-        }
-
-        // Check if this is a reply to one of our posts
-        const originalPost = await getOriginalPost('bluesky', notification.reasonSubject);
-        if (!originalPost) {
-            debug('Not a reply to our post', 'info', {
-                replyToId: notification.reasonSubject,
-                recentPostKeys: recentPostKeys()
-            });
-            return;
-        }
-
-        // Check if we've already replied to this post
-        const replyKey = `replied:bluesky:${notification.uri}`;
-        const hasReplied = await getPostsKV().get(replyKey);
-        if (hasReplied) {
-            debug('Already replied to this post', 'info', { replyKey });
-            return;
-        }
-
-        // Generate the reply
-        const generatedReply = await generateReply(originalPost, notification.record.text);
-        if (!generatedReply) {
-            debug('Failed to generate reply');
+            // Counted now, so one account can't fill the queue (and run up
+            // Workers AI calls) past REPLY_MAX_PER_AUTHOR_PER_HOUR.
+            await recordAuthorReply(platform, author.id);
             return;
         }
 
-        // In debug mode, just log what would have been posted
         if (process.env.DEBUG_MODE === 'true') {
-            debug('Debug mode: Would reply to Bluesky post', 'info', {
-                originalPost,
-                replyTo: notification.record.text,
-                generatedReply,
-                notification
-            });
-            await recordContent({
-                type: 'reply',
-                platform: 'bluesky',
-                id: debugId(),
-                content: generatedReply,
-                context: originalPost,
-                model: getReplyModel()
+            debug('Debug mode: Would have posted reply', 'info', {
+                platform,
+                content,
+                inReplyTo: notification.postId
             });
-            // Still store that we "replied" to prevent duplicate debug logs
+            await recordContent({ ...record, id: debugId() });
+            // Even in debug mode, mark as replied to prevent duplicate processing
             await markReplied(replyKey);
-            debug('Marked post as replied to (debug mode)', 'info', { replyKey });
             return;
         }
 
-        // Get auth token
-        const auth = await getBlueskyAuth();
-        if (!auth || !auth.accessJwt) {
-            throw new Error('Failed to authenticate with Bluesky');
-        }
-
-        // Create the post (host resolution handled by the shared helper)
-        const response = await createBlueskyRecord(auth, {
-            text: generatedReply,
-            reply: {
-                root: {
-                    uri: notification.reasonSubject,
-                    cid: notification.record.reply?.root?.cid
-                },
-                parent: {
-                    uri: notification.uri,
-                    cid: notification.cid
-                }
-            },
-            createdAt: new Date().toISOString()
-        });
-
-        if (!response.ok) {
-            const errorData = await response.text();
-            debug('Error response from Bluesky:', 'error', {
-                status: response.status,
-                statusText: response.statusText,
-                error: errorData
-            });
-            throw new Error(`Failed to post reply: ${errorData}`);
-        }
+        const posted = await sendReply(adapter, notification, record);
+        await recordAuthorReply(platform, author.id);
 
-        // Record the reply for feedback, then mark this post as replied to
-        const postedReply = await response.json();
-        await recordContent({
-            type: 'reply',
-            platform: 'bluesky',
-            id: postedReply.uri || notification.uri,
-            content: generatedReply,
-            context: originalPost,
-            model: getReplyModel()
-        });
+        // Permanent: we really replied, and the notification stays in the
+        // platform's list forever, so the marker must outlive it.
         await markReplied(replyKey, { permanent: true });
-        debug('Successfully replied to Bluesky post', 'info', { replyKey });
 
+        debug('Successfully posted reply', 'info', {
+            platform,
+            replyId: posted.id,
+            inReplyTo: notification.postId,
+            content
+        });
     } catch (error) {
-        debug('Error handling Bluesky reply:', 'error', error);
+        debug(`Error handling ${adapter.label} notification:`, 'error', error);
     }
 }
 
-// Check for notifications on both platforms
+// Check every enabled platform that supports replies for notifications and
+// answer the ones the bot replies to. Platforms are independent: one failing
+// doesn't stop the rest.
 async function checkNotifications() {
-    try {
-        debug('Checking for notifications...');
-        debug('Fetching Mastodon notifications...', 'info');
-
-        // Check Mastodon notifications
-        const mastodonResponse = await getMastodonNotifications();
-
-        debug('Mastodon notifications response status:', 'info', {
-            status: mastodonResponse.status,
-            statusText: mastodonResponse.statusText
-        });
-
-        if (!mastodonResponse.ok) {
-            debug('Failed to fetch Mastodon notifications', 'error', {
-                status: mastodonResponse.status,
-                statusText: mastodonResponse.statusText
-            });
-            return;
-        }
-
-        const mastodonNotifications = await mastodonResponse.json();
-        debug('Retrieved Mastodon notifications', 'info', { totalCount: mastodonNotifications.length });
-
-        // Process each Mastodon notification
-        for (const notification of mastodonNotifications) {
-            debug('Processing Mastodon notification', 'info', {
-                type: notification.type,
-                id: notification.id,
-                status: notification.status?.content
-            });
-
-            if (notification.type === 'mention') {
-                await handleMastodonReply(notification);
-            }
-        }
-
-        // Check Bluesky notifications if configured
-        if (process.env.BLUESKY_USERNAME && process.env.BLUESKY_PASSWORD) {
-            debug('Fetching Bluesky notifications...', 'info');
-            
-            // Get Bluesky auth
-            const auth = await getBlueskyAuth();
-            if (!auth || !auth.accessJwt) {
-                debug('Failed to authenticate with Bluesky - missing access token', 'error');
-                return;
-            }
-
-            // Fetch notifications using the ATP API
-            const notificationsResponse = await listBlueskyNotifications(auth);
-
-            if (!notificationsResponse.ok) {
-                debug('Failed to fetch Bluesky notifications', 'error', {
-                    status: notificationsResponse.status,
-                    statusText: notificationsResponse.statusText
-                });
-                return;
-            }
-
-            const blueskyData = await notificationsResponse.json();
-            const notifications = blueskyData.notifications || [];
-
-            debug('Retrieved Bluesky notifications', 'info', { totalCount: notifications.length });
+    debug('Checking for notifications...');
+    for (const adapter of replyPlatforms()) {
+        try {
+            debug(`Fetching ${adapter.label} notifications...`, 'info');
+            const notifications = await adapter.listNotifications();
+            debug(`Retrieved ${adapter.label} notifications`, 'info', { totalCount: notifications.length });
 
-            // Process each Bluesky notification
             for (const notification of notifications) {
-                debug('Processing Bluesky notification', 'info', {
+                debug(`Processing ${adapter.label} notification`, 'info', {
                     reason: notification.reason,
-                    author: notification.author?.handle,
-                    cid: notification.cid
+                    id: notification.id,
+                    author: notification.author.handle
                 });
 
-                if (notification.reason === 'reply') {
-                    await handleBlueskyReply(notification);
+                if (adapter.replyReasons.includes(notification.reason)) {
+                    await handleNotification(adapter, notification);
                 }
             }
 
             // Mark notifications as read
             if (notifications.length > 0) {
-                const seenAt = new Date().toISOString();
-                await updateBlueskySeen(auth, seenAt);
+                await adapter.markSeen(notifications);
             }
+        } catch (error) {
+            debug(`Error checking ${adapter.label} notifications:`, 'error', error);
         }
-    } catch (error) {
-        debug('Error checking notifications:', 'error', error);
     }
 }
 
 // Export all functions
 export {
     checkNotifications,
-    handleMastodonReply,
-    handleBlueskyReply,
+    handleNotification,
+    publishReplyDraft,
     generateReply,
+    composeReply,
+    extractKeywords,
+    boundHistory,
+    isAuthorRateLimited,
+    recordAuthorReply,
     fetchPostContent,
-    initAI
+    initAI,
+    initMarkov
 };
@@ -0,0 +1,236 @@
+// Post scheduling for the cron trigger. Instead of a coin flip on every tick,
+// the scheduler plans the next 24 hours as a queue of post slots drawn at
+// random from the active-hour windows, and each tick posts when a slot has come
+// due, subject to a minimum gap between posts and a daily cap.
+//
+// Configuration (all optional; the scheduler is off until one is set, and the
+// cron falls back to POST_PROBABILITY):
+//   POST_WINDOWS          comma-separated `HH:MM-HH:MM` windows, each optionally
+//                         followed by a timezone: "09:00-12:00,18:00-22:00
+//                         America/New_York". A window may cross midnight.
+//   POST_TIMEZONE         IANA timezone for windows without one (default UTC)
+//   POST_MIN_GAP_MINUTES  minimum minutes between posts (default 60)
+//   POST_MAX_PER_DAY      posts in any 24 hours (default 4)
+//
+// State lives in POSTS_KV under `schedule:state`: the planned slots, when the
+// plan runs out, the last tick and the gap before it, and the times of the last
+// day's posts (all epoch ms).
+import { debug } from './log.js';
+import { getPostsKV } from './posts.js';
+
+const STATE_KEY = 'schedule:state';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+function schedulerEnabled() {
+    return ['POST_WINDOWS', 'POST_MIN_GAP_MINUTES', 'POST_MAX_PER_DAY'].some(name => process.env[name]);
+}
+
+// "HH:MM" -> minutes after midnight, or null. "24:00" is allowed as an end.
+function parseClock(text) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(text);
+    if (!match) {
+        return null;
+    }
+    const minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+    return parseInt(match[2], 10) < 60 && minutes <= 24 * 60 ? minutes : null;
+}
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// POST_WINDOWS as [{ start, end, timeZone }] (minutes after local midnight).
+// Unparseable windows are skipped with a warning; none at all means all day.
+function parseWindows(spec = process.env.POST_WINDOWS, defaultZone = process.env.POST_TIMEZONE || 'UTC') {
+    if (!isValidTimeZone(defaultZone)) {
+        debug('Ignoring invalid POST_TIMEZONE', 'warn', { timeZone: defaultZone });
+        defaultZone = 'UTC';
+    }
+    const windows = [];
+    for (const entry of (spec || '').split(',').map(part => part.trim()).filter(Boolean)) {
+        const [range, timeZone = defaultZone] = entry.split(/\s+/);
+        const [start, end] = range.split('-').map(parseClock);
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start === end || !isValidTimeZone(timeZone)) {
+            debug('Ignoring invalid POST_WINDOWS entry', 'warn', { entry });
+            continue;
+        }
+        windows.push({ start, end, timeZone });
+    }
+    return windows.length > 0 ? windows : [{ start: 0, end: 24 * 60, timeZone: defaultZone }];
+}
+
+function scheduleConfig() {
+    const minGap = parseInt(process.env.POST_MIN_GAP_MINUTES, 10);
+    const maxPerDay = parseInt(process.env.POST_MAX_PER_DAY, 10);
+    return {
+        windows: parseWindows(),
+        minGapMs: (Number.isFinite(minGap) && minGap >= 0 ? minGap : 60) * MINUTE_MS,
+        maxPerDay: Number.isFinite(maxPerDay) && maxPerDay > 0 ? maxPerDay : 4
+    };
+}
+
+// Formatting is the only timezone arithmetic Workers offer; cache a formatter
+// per zone since every tick and plan checks hundreds of instants.
+const clockFormatters = new Map();
+
+function localMinutes(time, timeZone) {
+    let formatter = clockFormatters.get(timeZone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', minute: 'numeric', hourCycle: 'h23' });
+        clockFormatters.set(timeZone, formatter);
+    }
+    const parts = formatter.formatToParts(new Date(time));
+    const value = type => parseInt(parts.find(part => part.type === type).value, 10);
+    return value('hour') * 60 + value('minute');
+}
+
+function inActiveWindow(time, windows) {
+    return windows.some(({ start, end, timeZone }) => {
+        const minutes = localMinutes(time, timeZone);
+        // A window like 22:00-02:00 crosses midnight.
+        return start < end
+            ? minutes >= start && minutes < end
+            : minutes >= start || minutes < end;
+    });
+}
+
+// Draw up to `maxPerDay` slots in [start, start + 24h), at minute resolution,
+// inside the windows and at least `minGapMs` apart (and from `lastPostAt`).
+// Fewer come back when the windows are too short to fit them all.
+function planSlots(start, { windows, minGapMs, maxPerDay }, { lastPostAt = null, random = Math.random } = {}) {
+    const active = [];
+    for (let time = start; time < start + DAY_MS; time += MINUTE_MS) {
+        if (inActiveWindow(time, windows)) {
+            active.push(time);
+        }
+    }
+
+    const slots = [];
+    const taken = lastPostAt === null ? [] : [lastPostAt];
+    while (slots.length < maxPerDay) {
+        const free = active.filter(time => taken.every(other => Math.abs(time - other) >= minGapMs));
+        if (free.length === 0) {
+            break;
+        }
+        const slot = free[Math.floor(random() * free.length)];
+        slots.push(slot);
+        taken.push(slot);
+    }
+    return slots.sort((a, b) => a - b);
+}
+
+async function loadScheduleState() {
+    const stored = await getPostsKV().get(STATE_KEY);
+    let state = null;
+    try {
+        state = stored ? JSON.parse(stored) : null;
+    } catch (error) {
+        debug('Ignoring unreadable schedule state', 'warn');
+    }
+    return {
+        queue: Array.isArray(state?.queue) ? state.queue : [],
+        planEnd: Number.isFinite(state?.planEnd) ? state.planEnd : 0,
+        lastTickAt: Number.isFinite(state?.lastTickAt) ? state.lastTickAt : null,
+        tickInterval: Number.isFinite(state?.tickInterval) ? state.tickInterval : 0,
+        posted: Array.isArray(state?.posted) ? state.posted : []
+    };
+}
+
+async function saveScheduleState(state) {
+    await getPostsKV().put(STATE_KEY, JSON.stringify(state));
+}
+
+// Decide whether the cron tick at `now` posts. With `tick` false the check
+// isn't a tick of its own (publishing approved drafts right after one, or on
+// demand): it leaves the learned tick gap alone. Resolves to
+// { post, reason, next, slot }: `reason` says why not, `next` is the next
+// planned slot (or null), and `slot` is the one a post may use.
+//
+// Slots are at minute resolution but ticks are hours apart, so a tick takes
+// the earliest slot that falls before the next tick (the gap between ticks is
+// learned from the previous one); otherwise a 2-hourly cron would land after
+// most of a short window's slots and miss them. A taken slot stays queued until
+// useSlot is called for it once the post is out, so a run that ends up posting
+// nothing (every candidate a near-duplicate) leaves it to the next tick. It is
+// also used up when the daily cap is reached; one held back by the minimum gap
+// waits for the next tick, and slots already past at a tick outside every
+// window are dropped as missed.
+async function checkSchedule(now = Date.now(), { random = Math.random, tick = true } = {}) {
+    const config = scheduleConfig();
+    const state = await loadScheduleState();
+    state.posted = state.posted.filter(time => time > now - DAY_MS);
+    const lastPostAt = state.posted.length > 0 ? Math.max(...state.posted) : null;
+    if (tick) {
+        state.tickInterval = state.lastTickAt ? Math.min(Math.max(now - state.lastTickAt, 0), DAY_MS) : 0;
+        state.lastTickAt = now;
+    }
+    const { tickInterval } = state;
+
+    if (now >= state.planEnd) {
+        state.queue = planSlots(now, config, { lastPostAt, random });
+        state.planEnd = now + DAY_MS;
+        debug('Planned post slots', 'info', { slots: state.queue.map(time => new Date(time).toISOString()) });
+    }
+
+    const decide = async (post, reason) => {
+        await saveScheduleState(state);
+        const next = state.queue.length > 0 ? state.queue[0] : null;
+        return post ? { post, reason, next, slot: next } : { post, reason, next };
+    };
+
+    if (!inActiveWindow(now, config.windows)) {
+        state.queue = state.queue.filter(time => time > now);
+        return decide(false, 'outside active hours');
+    }
+    if (state.queue.length === 0 || state.queue[0] > now + tickInterval) {
+        return decide(false, 'no slot due');
+    }
+    if (lastPostAt !== null && now - lastPostAt < config.minGapMs) {
+        return decide(false, 'minimum gap since the last post');
+    }
+    if (state.posted.length >= config.maxPerDay) {
+        state.queue.shift();
+        return decide(false, 'daily post cap reached');
+    }
+    return decide(true, null);
+}
+
+// Use up `slot` (from checkSchedule) once the post it allowed is out.
+// `postedAt` (epoch ms) also counts the post toward the gap and the daily cap;
+// leave it out for a post that published nothing (debug mode).
+async function useSlot(slot, { postedAt = null } = {}) {
+    const state = await loadScheduleState();
+    state.queue = state.queue.filter(time => time !== slot);
+    if (postedAt !== null) {
+        state.posted = state.posted.filter(posted => posted > postedAt - DAY_MS);
+        state.posted.push(postedAt);
+    }
+    await saveScheduleState(state);
+}
+
+// Note a published post, so the gap and the daily cap count it. Every post
+// counts, including ones made through /run.
+async function recordPostTime(time = Date.now()) {
+    const state = await loadScheduleState();
+    state.posted = state.posted.filter(posted => posted > time - DAY_MS);
+    state.posted.push(time);
+    await saveScheduleState(state);
+}
+
+export {
+    schedulerEnabled,
+    parseWindows,
+    scheduleConfig,
+    inActiveWindow,
+    planSlots,
+    loadScheduleState,
+    checkSchedule,
+    useSlot,
+    recordPostTime
+};
@@ -1,17 +1,51 @@
-// Thin request helpers for the Mastodon and Bluesky APIs. Centralizes host and
+// Thin request helpers for the Mastodon, Bluesky and Threads APIs. Centralizes host and
 // auth-header construction so callers don't repeat it; each returns the raw
 // Response so callers keep their own error handling.
+//
+// The platform adapters at the end of the file build on these helpers and are
+// what the rest of the bot talks to (see PLATFORM_ADAPTERS).
 import fetch from 'node-fetch';
 import { debug } from './log.js';
+import { buildFacets } from './facets.js';
+import { getPostsKV, getOriginalPost } from './posts.js';
+import { pdsEndpoint, resolvePds } from './identity.js';
+import { normalizeAccount } from './sources.js';
+import { stripHtml, normalizeWhitespace } from './text.js';
 
 function mastodonUrl(path) {
     return `${process.env.MASTODON_API_URL}${path}`;
 }
 
+// Where the bot logs in. Once logged in, its own calls go to the PDS named in
+// the session's DID document (see pdsUrl), which may be a different host.
 function blueskyUrl(path) {
     return `${process.env.BLUESKY_API_URL || 'https://bsky.social'}${path}`;
 }
 
+// Unauthenticated reads that don't need a particular PDS go to the AppView.
+function appViewUrl(path) {
+    return `${process.env.BLUESKY_APPVIEW_URL || 'https://public.api.bsky.app'}${path}`;
+}
+
+// The bot's own PDS, falling back to the login host when the session didn't
+// say (older sessions, or a server that sends no DID document).
+function pdsUrl(session, path) {
+    return session?.pds ? `${session.pds}${path}` : blueskyUrl(path);
+}
+
+// Build a query string, dropping unset parameters (undefined/null) so optional
+// paging arguments like max_id or cursor can be passed straight through.
+function queryString(params) {
+    const query = new URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+        if (value !== undefined && value !== null) {
+            query.set(key, String(value));
+        }
+    }
+    const str = query.toString();
+    return str ? `?${str}` : '';
+}
+
 // POST a new status (or reply) to Mastodon.
 function postMastodonStatus(payload) {
     return fetch(mastodonUrl('/api/v1/statuses'), {
@@ -31,22 +65,130 @@ function getMastodonStatus(id) {
     });
 }
 
+// GET a Mastodon status's thread context: { ancestors, descendants }, each
+// oldest first.
+function getMastodonStatusContext(id) {
+    return fetch(mastodonUrl(`/api/v1/statuses/${id}/context`), {
+        headers: { 'Authorization': `Bearer ${process.env.MASTODON_ACCESS_TOKEN}` }
+    });
+}
+
+// GET the account the access token belongs to (the bot's own).
+function getMastodonOwnAccount() {
+    return fetch(mastodonUrl('/api/v1/accounts/verify_credentials'), {
+        headers: { 'Authorization': `Bearer ${process.env.MASTODON_ACCESS_TOKEN}` }
+    });
+}
+
+// The bot's Mastodon account id, fetched once per instance and token. Resolves
+// to null when it can't be fetched (and tries again next time).
+let mastodonAccountCache = null;
+async function mastodonAccountId() {
+    const key = `${process.env.MASTODON_API_URL} ${process.env.MASTODON_ACCESS_TOKEN}`;
+    if (mastodonAccountCache?.key === key) {
+        return mastodonAccountCache.id;
+    }
+    try {
+        const response = await getMastodonOwnAccount();
+        if (!response.ok) {
+            debug('Failed to fetch the bot\'s Mastodon account', 'warn', { status: response.status });
+            return null;
+        }
+        const { id } = await response.json();
+        mastodonAccountCache = { key, id: String(id) };
+        return mastodonAccountCache.id;
+    } catch (error) {
+        debug('Error fetching the bot\'s Mastodon account:', 'error', error);
+        return null;
+    }
+}
+
+// Split an AT URI (at://<repo>/<collection>/<rkey>) into its parts, or null.
+function parseAtUri(uri) {
+    const match = /^at:\/\/([^/]+)\/([^/]+)\/([^/]+)$/.exec(uri || '');
+    return match ? { repo: match[1], collection: match[2], rkey: match[3] } : null;
+}
+
+// GET a record by AT URI (public, no auth). Resolves to { uri, cid, value }.
+// Read from the PDS hosting the repo, found through its DID document; the
+// AppView serves it instead if the repo can't be resolved.
+async function getBlueskyRecord(uri) {
+    const { repo, collection, rkey } = parseAtUri(uri) || {};
+    const did = repo && !repo.startsWith('did:') ? await resolveBlueskyHandle(repo) : repo;
+    const pds = did ? await resolvePds(did) : null;
+    const path = `/xrpc/com.atproto.repo.getRecord${queryString({ repo: did || repo, collection, rkey })}`;
+    return fetch(pds ? `${pds}${path}` : appViewUrl(path), {
+        headers: { 'Accept': 'application/json' }
+    });
+}
+
+// Resolve a Bluesky handle to its DID, or null.
+async function resolveBlueskyHandle(handle) {
+    try {
+        const response = await fetch(appViewUrl(`/xrpc/com.atproto.identity.resolveHandle${queryString({ handle })}`), {
+            headers: { 'Accept': 'application/json' }
+        });
+        if (!response.ok) {
+            debug('Could not resolve Bluesky handle', 'warn', { handle, status: response.status });
+            return null;
+        }
+        const { did } = await response.json();
+        return did || null;
+    } catch (error) {
+        debug('Error resolving Bluesky handle:', 'error', error);
+        return null;
+    }
+}
+
 // Create an app.bsky.feed.post record on Bluesky. `record` is the post value.
-function createBlueskyRecord(auth, record) {
-    return fetch(blueskyUrl('/xrpc/com.atproto.repo.createRecord'), {
+// Facets for its mentions, links and hashtags are added unless the record
+// already has some, so every caller posts live rich text.
+async function createBlueskyRecord(auth, record) {
+    const facets = record.facets || await buildFacets(record.text, { resolveHandle: resolveBlueskyHandle });
+    return blueskyFetch(auth, '/xrpc/com.atproto.repo.createRecord', {
         method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${auth.accessJwt}`,
-            'Content-Type': 'application/json'
-        },
+        headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
             repo: auth.did,
             collection: 'app.bsky.feed.post',
-            record
+            record: facets.length > 0 ? { ...record, facets } : record
         })
     });
 }
 
+// Resolve a Mastodon acct ("user" or "user@instance") to its account record.
+function lookupMastodonAccount(acct) {
+    return fetch(mastodonUrl(`/api/v1/accounts/lookup${queryString({ acct })}`), {
+        headers: { 'Authorization': `Bearer ${process.env.MASTODON_ACCESS_TOKEN}` }
+    });
+}
+
+// GET one page of a Mastodon account's statuses, newest first. `params` maps to
+// query parameters (limit, max_id, exclude_replies, exclude_reblogs).
+function getMastodonAccountStatuses(id, params = {}) {
+    return fetch(mastodonUrl(`/api/v1/accounts/${id}/statuses${queryString(params)}`), {
+        headers: {
+            'Authorization': `Bearer ${process.env.MASTODON_ACCESS_TOKEN}`,
+            'Accept': 'application/json'
+        }
+    });
+}
+
+// GET one page of a Bluesky actor's own feed, newest first. `params` maps to
+// query parameters (actor, limit, cursor, filter).
+function getBlueskyAuthorFeed(auth, params) {
+    return blueskyFetch(auth, `/xrpc/app.bsky.feed.getAuthorFeed${queryString(params)}`, {
+        headers: { 'Accept': 'application/json' }
+    });
+}
+
+// GET a Bluesky post with its thread. `params` maps to query parameters
+// (depth, parentHeight).
+function getBlueskyPostThread(auth, uri, params = {}) {
+    return blueskyFetch(auth, `/xrpc/app.bsky.feed.getPostThread${queryString({ uri, ...params })}`, {
+        headers: { 'Accept': 'application/json' }
+    });
+}
 
 // GET the bot's mention notifications from Mastodon.
 function getMastodonNotifications() {
@@ -57,34 +199,172 @@ function getMastodonNotifications() {
 
 // GET the bot's notifications from Bluesky.
 function listBlueskyNotifications(auth) {
-    return fetch(blueskyUrl('/xrpc/app.bsky.notification.listNotifications'), {
-        headers: {
-            'Authorization': `Bearer ${auth.accessJwt}`,
-            'Accept': 'application/json'
-        }
+    return blueskyFetch(auth, '/xrpc/app.bsky.notification.listNotifications', {
+        headers: { 'Accept': 'application/json' }
     });
 }
 
 // Mark Bluesky notifications read up to `seenAt`.
 function updateBlueskySeen(auth, seenAt) {
-    return fetch(blueskyUrl('/xrpc/app.bsky.notification.updateSeen'), {
+    return blueskyFetch(auth, '/xrpc/app.bsky.notification.updateSeen', {
         method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${auth.accessJwt}`,
-            'Content-Type': 'application/json'
-        },
+        headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ seenAt })
     });
 }
 
-// Cache a successful Bluesky session so we don't re-authenticate on every call
-// within (and across) a short-lived invocation. TTL is kept well under the
-// access token's ~2h lifetime; the cache is keyed by identifier so a credential
-// change forces a fresh login.
+// Bluesky sessions. Logging in (createSession) is rate limited per account, so
+// a session is reused for as long as it lasts: kept in memory for this isolate
+// and persisted in POSTS_KV for the next one, and renewed with refreshSession
+// (using the refresh token) rather than the password once the access token
+// expires. Both caches are keyed by identifier, so a credential change forces a
+// fresh login. The session object handed out is updated in place when it is
+// refreshed, so callers holding it keep working.
 let blueskyAuthCache = null;
 let blueskyAuthExpiry = 0;
 let blueskyAuthIdentifier = null;
+// Used when the access token's expiry can't be read; well under its ~2h life.
 const BLUESKY_AUTH_TTL_MS = 50 * 60 * 1000;
+// Renew this long before the access token actually expires.
+const BLUESKY_EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+
+function sessionKey(identifier) {
+    return `bluesky:session:${identifier}`;
+}
+
+// When to stop using an access token: its JWT `exp` less a margin, or the
+// fixed TTL if the token can't be decoded.
+function accessTokenExpiry(accessJwt) {
+    try {
+        const payload = accessJwt.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        const { exp } = JSON.parse(atob(payload));
+        if (Number.isFinite(exp)) {
+            return exp * 1000 - BLUESKY_EXPIRY_MARGIN_MS;
+        }
+    } catch (error) {
+        // Not a readable JWT; fall through to the fixed TTL.
+    }
+    return Date.now() + BLUESKY_AUTH_TTL_MS;
+}
+
+// Make `session` the current one for `identifier`, in memory and, unless
+// `persist` is false (a session just read back from there), in POSTS_KV.
+async function saveBlueskySession(identifier, session, { persist = true } = {}) {
+    if (blueskyAuthCache && blueskyAuthIdentifier === identifier) {
+        Object.assign(blueskyAuthCache, session);
+    } else {
+        blueskyAuthCache = { ...session };
+    }
+    blueskyAuthIdentifier = identifier;
+    blueskyAuthExpiry = accessTokenExpiry(session.accessJwt);
+
+    const kv = persist ? getPostsKV() : null;
+    if (kv) {
+        try {
+            await kv.put(sessionKey(identifier), JSON.stringify(session));
+        } catch (error) {
+            debug('Failed to persist Bluesky session', 'warn', { error: error.message });
+        }
+    }
+    return blueskyAuthCache;
+}
+
+async function loadStoredBlueskySession(identifier) {
+    const kv = getPostsKV();
+    if (!kv) {
+        return null;
+    }
+    try {
+        const stored = await kv.get(sessionKey(identifier));
+        return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+        debug('Ignoring unreadable stored Bluesky session', 'warn', { error: error.message });
+        return null;
+    }
+}
+
+// The parts of a createSession/refreshSession response worth keeping. `pds` is
+// read from the DID document the server sends back, when it sends one.
+function sessionFields(data, previous = {}) {
+    const pds = pdsEndpoint(data.didDoc) || previous.pds;
+    return {
+        did: data.did,
+        accessJwt: data.accessJwt,
+        refreshJwt: data.refreshJwt,
+        ...(pds && { pds })
+    };
+}
+
+// Renew `session` with its refresh token. Resolves to the new session (also
+// saved), or null if the refresh token was rejected.
+async function refreshBlueskySession(identifier, session) {
+    if (!session?.refreshJwt) {
+        return null;
+    }
+    debug('Refreshing Bluesky session', 'info', { did: session.did });
+    const response = await fetch(pdsUrl(session, '/xrpc/com.atproto.server.refreshSession'), {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${session.refreshJwt}` }
+    });
+    if (!response.ok) {
+        debug('Bluesky session refresh failed', 'warn', { status: response.status, statusText: response.statusText });
+        return null;
+    }
+    return saveBlueskySession(identifier, sessionFields(await response.json(), session));
+}
+
+// Log in with the password (createSession). Resolves to the saved session or
+// null.
+async function createBlueskySession(username, password) {
+    debug('Authenticating with Bluesky using:', 'info', username);
+
+    debug('Sending Bluesky auth request...', 'info');
+    const response = await fetch(blueskyUrl('/xrpc/com.atproto.server.createSession'), {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            identifier: username,
+            password: password
+        })
+    });
+
+    debug('Auth response status:', 'info', {
+        status: response.status,
+        statusText: response.statusText
+    });
+
+    if (!response.ok) {
+        // Surface Bluesky's error body (e.g. "Invalid identifier or password",
+        // "AuthFactorTokenRequired") so credential problems are diagnosable.
+        let body;
+        try {
+            body = await response.text();
+        } catch (readError) {
+            body = '<unreadable>';
+        }
+        debug('Bluesky auth failed', 'error', {
+            status: response.status,
+            statusText: response.statusText,
+            identifier: username,
+            body
+        });
+        return null;
+    }
+
+    const data = await response.json();
+
+    debug('Successfully authenticated with Bluesky', 'info', {
+        did: data.did,
+        pds: pdsEndpoint(data.didDoc),
+        hasAccessJwt: !!data.accessJwt,
+        hasRefreshJwt: !!data.refreshJwt
+    });
+
+    // Only successes are cached.
+    return saveBlueskySession(username, sessionFields(data));
+}
 
 async function getBlueskyAuth() {
     try {
@@ -102,71 +382,713 @@ async function getBlueskyAuth() {
             return blueskyAuthCache;
         }
 
-        debug('Authenticating with Bluesky using:', 'info', username);
+        // Then the session a previous isolate stored: as-is while its access
+        // token lasts, refreshed after that.
+        const session = blueskyAuthIdentifier === username && blueskyAuthCache
+            ? blueskyAuthCache
+            : await loadStoredBlueskySession(username);
+        if (session) {
+            if (Date.now() < accessTokenExpiry(session.accessJwt)) {
+                debug('Reusing stored Bluesky session', 'info');
+                return saveBlueskySession(username, session, { persist: false });
+            }
+            const refreshed = await refreshBlueskySession(username, session);
+            if (refreshed) {
+                return refreshed;
+            }
+        }
+
+        return await createBlueskySession(username, password);
+    } catch (error) {
+        debug('Error authenticating with Bluesky:', 'error', error);
+        return null;
+    }
+}
+
+// An authenticated Bluesky request. If the access token turns out to have
+// expired (an `ExpiredToken` error), the session is refreshed once, falling
+// back to a fresh login, and the request retried with the new token. `auth` is
+// updated in place.
+async function blueskyFetch(auth, path, { headers = {}, ...options } = {}) {
+    const send = () => fetch(pdsUrl(auth, path), {
+        ...options,
+        headers: { ...headers, 'Authorization': `Bearer ${auth.accessJwt}` }
+    });
+
+    const response = await send();
+    if (response.status !== 400 && response.status !== 401) {
+        return response;
+    }
+    let error;
+    try {
+        ({ error } = await response.clone().json());
+    } catch (parseError) {
+        return response;
+    }
+    if (error !== 'ExpiredToken') {
+        return response;
+    }
+
+    debug('Bluesky access token expired; refreshing and retrying', 'info', { path: path.split('?')[0] });
+    const username = process.env.BLUESKY_USERNAME;
+    const renewed = await refreshBlueskySession(username, auth) ||
+        await createBlueskySession(username, process.env.BLUESKY_PASSWORD);
+    if (!renewed) {
+        return response;
+    }
+    if (renewed !== auth) {
+        Object.assign(auth, renewed);
+    }
+    return send();
+}
+
+// Per-account source fetching (the adapters' `authorFeed`). Fetchers resolve to
+// `{ posts, cursor }`: raw `{ id, text }` items, newest first (Mastodon text is
+// still HTML; cleaning is left to the caller), and the cursor to pass back on
+// the next fetch. Given the previous `cursor`, they return only posts after it,
+// which is what lets the harvester in bot.js ingest incrementally. A cursor
+// only moves past posts that were actually fetched, so a backlog longer than
+// one fetch's pages is worked through over several runs instead of skipped.
+
+// Largest page each API will return.
+const MASTODON_PAGE_LIMIT = 40;
+const BLUESKY_PAGE_LIMIT = 100;
+
+// Fetch up to `pages` pages of a Mastodon account's statuses. The cursor is
+// `{ since }`, the newest status id fetched so far; the server then only
+// returns newer statuses. Without it, paging runs backwards from the newest
+// status. With it, paging runs forwards from `since` (min_id) so that when more
+// than `pages` pages were posted since, the oldest of them come back and the
+// next run picks up where this one stopped. `since` is the raw newest status,
+// even when it had no text, so the next run doesn't fetch it again.
+async function fetchMastodonAccountPosts(account, { pages = 1, excludeReplies = true, excludeReblogs = true, cursor = {} } = {}) {
+    const acct = normalizeAccount(account);
+    const lookupResponse = await lookupMastodonAccount(acct);
+    if (!lookupResponse.ok) {
+        throw new Error(`Mastodon account lookup failed for ${acct}: ${lookupResponse.status} ${lookupResponse.statusText}`);
+    }
+    const { id: accountId } = await lookupResponse.json();
+
+    // Each page is newest first; forward pages are collected oldest page first
+    // and reversed at the end.
+    const { since } = cursor || {};
+    const pageResults = [];
+    let newest = since;
+    let maxId;
+    let minId = since;
+    for (let page = 0; page < pages; page++) {
+        const response = await getMastodonAccountStatuses(accountId, {
+            limit: MASTODON_PAGE_LIMIT,
+            max_id: maxId,
+            min_id: minId,
+            exclude_replies: excludeReplies,
+            exclude_reblogs: excludeReblogs
+        });
+        if (!response.ok) {
+            throw new Error(`Mastodon statuses request failed for ${acct}: ${response.status} ${response.statusText}`);
+        }
+
+        const statuses = await response.json();
+        if (!Array.isArray(statuses) || statuses.length === 0) {
+            break;
+        }
+
+        const pagePosts = [];
+        for (const status of statuses) {
+            // A reblog's own content is empty; the boosted post carries the text.
+            const source = status.reblog || status;
+            if (source.content) {
+                pagePosts.push({ id: status.id, text: source.content });
+            }
+        }
+        pageResults.push(pagePosts);
+        if (since) {
+            minId = newest = statuses[0].id;
+        } else {
+            newest = newest || statuses[0].id;
+            maxId = statuses[statuses.length - 1].id;
+        }
+    }
+
+    const posts = (since ? pageResults.reverse() : pageResults).flat();
+    debug('Fetched Mastodon source account', 'verbose', { acct, count: posts.length });
+    return { posts, cursor: newest ? { since: newest } : {} };
+}
+
+// When an item entered the author feed: the repost time for reposts, otherwise
+// the post's own index time. The feed is ordered by this.
+function feedItemTime(item) {
+    return item.reason?.indexedAt || item.post?.indexedAt || null;
+}
+
+// Fetch up to `pages` pages of a Bluesky actor's author feed. getAuthorFeed has
+// no since parameter and only pages backwards, so the cursor is
+// `{ since, resume?, top? }`: `since` is the feed time already ingested up to,
+// and paging stops at the first item at or before it. When the pages run out
+// first, `since` stays put and the cursor keeps where to `resume` paging and
+// the `top` feed time this walk started from; `since` becomes `top` once a
+// later fetch reaches it. Without `since` (the first fetch) only the newest
+// `pages` pages are read.
+async function fetchBlueskyAccountPosts(auth, account, { pages = 1, excludeReplies = true, excludeReblogs = true, cursor = {} } = {}) {
+    const actor = normalizeAccount(account);
+    const { since, resume } = cursor || {};
+    const sinceTime = since ? new Date(since).getTime() : null;
+
+    const posts = [];
+    let top = resume ? cursor.top : null;
+    let feedCursor = resume;
+    let reachedSince = false;
+    let reachedEnd = false;
+    for (let page = 0; page < pages && !reachedSince; page++) {
+        const response = await getBlueskyAuthorFeed(auth, {
+            actor,
+            limit: BLUESKY_PAGE_LIMIT,
+            cursor: feedCursor,
+            filter: excludeReplies ? 'posts_no_replies' : 'posts_with_replies'
+        });
+        if (!response.ok) {
+            throw new Error(`Bluesky author feed request failed for ${actor}: ${response.status} ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        const feed = Array.isArray(data.feed) ? data.feed : [];
+        for (const item of feed) {
+            const time = feedItemTime(item);
+            top = top || time;
+            if (sinceTime !== null && time && new Date(time).getTime() <= sinceTime) {
+                reachedSince = true;
+                break;
+            }
+            // Reposts (and pins) carry a `reason`; the post itself is someone else's.
+            if (excludeReblogs && item.reason) {
+                continue;
+            }
+            const text = item.post?.record?.text;
+            if (text) {
+                posts.push({ id: item.post.uri, text, indexedAt: time });
+            }
+        }
+
+        feedCursor = data.cursor;
+        if (!feedCursor || feed.length === 0) {
+            reachedEnd = true;
+            break;
+        }
+    }
 
-        debug('Sending Bluesky auth request...', 'info');
-        const response = await fetch(blueskyUrl('/xrpc/com.atproto.server.createSession'), {
+    debug('Fetched Bluesky source account', 'verbose', { actor, count: posts.length });
+    if (!since || reachedSince || reachedEnd) {
+        const newest = top || since;
+        return { posts, cursor: newest ? { since: newest } : {} };
+    }
+    return { posts, cursor: { since, resume: feedCursor, top } };
+}
+
+// Resolve a non-ok response into a thrown error carrying the platform's error
+// body, logged under `what` ("post to Mastodon"); an ok one into its JSON.
+async function responseJson(response, what) {
+    if (!response.ok) {
+        const errorData = await response.text();
+        debug(`Failed to ${what}`, 'error', {
+            status: response.status,
+            statusText: response.statusText,
+            error: errorData
+        });
+        throw new Error(`Failed to ${what}: ${errorData}`);
+    }
+    return response.json();
+}
+
+// Mastodon adapter.
+
+function mastodonNotification(raw) {
+    const handle = raw.account?.acct || raw.account?.username;
+    return {
+        platform: 'mastodon',
+        id: raw.id,
+        reason: raw.type,
+        postId: raw.status?.id,
+        text: normalizeWhitespace(stripHtml(raw.status?.content || '')),
+        author: { id: handle, handle, bot: !!raw.account?.bot },
+        createdAt: raw.created_at,
+        raw
+    };
+}
+
+async function fetchMastodonPost(id) {
+    if (!id) {
+        return null;
+    }
+    try {
+        const response = await getMastodonStatus(id);
+        if (!response.ok) {
+            debug('Failed to fetch Mastodon post', 'warn', { id, status: response.status });
+            return null;
+        }
+        const status = await response.json();
+        return stripHtml(status.content || '') || null;
+    } catch (error) {
+        debug('Error fetching Mastodon post:', 'error', error);
+        return null;
+    }
+}
+
+const mastodonAdapter = {
+    name: 'mastodon',
+    label: 'Mastodon',
+    // Mastodon's default post limit (instances may allow more).
+    maxLength: 500,
+    replyReasons: ['mention'],
+
+    credentials: ['MASTODON_API_URL', 'MASTODON_ACCESS_TOKEN'],
+
+    async post(text) {
+        const data = await responseJson(
+            await postMastodonStatus({ status: text, visibility: 'public' }), 'post to Mastodon');
+        return { id: data.id, url: data.url };
+    },
+
+    async reply(notification, text) {
+        const data = await responseJson(await postMastodonStatus({
+            status: text,
+            in_reply_to_id: notification.postId,
+            visibility: 'public'
+        }), 'post reply to Mastodon');
+        return { id: data.id, url: data.url };
+    },
+
+    fetchPost: fetchMastodonPost,
+
+    // A mention answers the status it replies to: from our posts store, else
+    // fetched. A mention that replies to nothing has no context.
+    async replyContext(notification) {
+        const inReplyTo = notification.raw.status?.in_reply_to_id;
+        return (inReplyTo && await getOriginalPost('mastodon', inReplyTo)) || fetchMastodonPost(inReplyTo);
+    },
+
+    // The statuses above the mention, from its context. Only the newest `turns`
+    // are returned; `depth` counts all. A status is the bot's if its author is
+    // the bot's account. Only when that account can't be fetched does it fall
+    // back to our posts store, which forgets posts after a day.
+    async fetchThread(notification, { turns }) {
+        const response = await getMastodonStatusContext(notification.postId);
+        if (!response.ok) {
+            debug('Failed to fetch Mastodon thread context', 'warn', { statusId: notification.postId, status: response.status });
+            return null;
+        }
+        const { ancestors = [] } = await response.json();
+        const recent = turns > 0 ? ancestors.slice(-turns) : [];
+        const ownId = recent.length > 0 ? await mastodonAccountId() : null;
+        return {
+            ancestors: await Promise.all(recent.map(async status => ({
+                text: status.content,
+                own: ownId !== null
+                    ? String(status.account?.id) === ownId
+                    : !!(await getOriginalPost('mastodon', status.id))
+            }))),
+            depth: ancestors.length
+        };
+    },
+
+    async listNotifications() {
+        const response = await getMastodonNotifications();
+        const notifications = await responseJson(response, 'fetch Mastodon notifications');
+        return notifications.map(mastodonNotification);
+    },
+
+    // Advance the notifications read marker past the newest one handled.
+    async markSeen(notifications) {
+        const newest = notifications[0]?.id;
+        if (!newest) {
+            return;
+        }
+        const response = await fetch(mastodonUrl('/api/v1/markers'), {
             method: 'POST',
             headers: {
+                'Authorization': `Bearer ${process.env.MASTODON_ACCESS_TOKEN}`,
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({
-                identifier: username,
-                password: password
-            })
+            body: JSON.stringify({ notifications: { last_read_id: newest } })
         });
+        if (!response.ok) {
+            debug('Failed to mark Mastodon notifications read', 'warn', { status: response.status });
+        }
+    },
 
-        debug('Auth response status:', 'info', {
-            status: response.status,
-            statusText: response.statusText
-        });
+    authorFeed: (account, options) => fetchMastodonAccountPosts(account, options),
+
+    toNotification: mastodonNotification
+};
+
+// Bluesky adapter.
+
+async function requireBlueskyAuth() {
+    const auth = await getBlueskyAuth();
+    if (!auth || !auth.accessJwt || !auth.did) {
+        throw new Error('Failed to authenticate with Bluesky');
+    }
+    return auth;
+}
 
+function blueskyNotification(raw) {
+    return {
+        platform: 'bluesky',
+        id: raw.uri,
+        reason: raw.reason,
+        postId: raw.uri,
+        text: raw.record?.text || '',
+        author: { id: raw.author?.did || raw.author?.handle, handle: raw.author?.handle, bot: false },
+        createdAt: raw.indexedAt || raw.record?.createdAt,
+        raw
+    };
+}
+
+async function fetchBlueskyPost(uri) {
+    try {
+        const response = await getBlueskyRecord(uri);
         if (!response.ok) {
-            // Surface Bluesky's error body (e.g. "Invalid identifier or password",
-            // "AuthFactorTokenRequired") so credential problems are diagnosable.
-            let body;
-            try {
-                body = await response.text();
-            } catch (readError) {
-                body = '<unreadable>';
-            }
-            debug('Bluesky auth failed', 'error', {
-                status: response.status,
-                statusText: response.statusText,
-                identifier: username,
-                body
-            });
+            debug('Failed to fetch Bluesky post', 'warn', { uri, status: response.status });
             return null;
         }
+        const record = await response.json();
+        return record.value?.text || null;
+    } catch (error) {
+        debug('Error fetching Bluesky post:', 'error', error);
+        return null;
+    }
+}
 
-        const data = await response.json();
-        
-        debug('Successfully authenticated with Bluesky', 'info', {
-            did: data.did,
-            hasAccessJwt: !!data.accessJwt,
-            hasRefreshJwt: !!data.refreshJwt
-        });
+// Text of a Bluesky post: from our posts store, else fetched by AT URI.
+async function getBlueskyPostText(uri) {
+    return (await getOriginalPost('bluesky', uri)) || fetchBlueskyPost(uri);
+}
 
-        // Cache the successful session (only successes are cached).
-        blueskyAuthCache = {
-            did: data.did,
-            accessJwt: data.accessJwt,
-            refreshJwt: data.refreshJwt
-        };
-        blueskyAuthExpiry = Date.now() + BLUESKY_AUTH_TTL_MS;
-        blueskyAuthIdentifier = username;
-        return blueskyAuthCache;
+// A complete strong ref ({ uri, cid }) or null.
+function strongRef(ref) {
+    return ref?.uri && ref?.cid ? { uri: ref.uri, cid: ref.cid } : null;
+}
+
+// Reply refs for answering a Bluesky notification's post. The parent is that
+// post. The root is the root its own record names; when the record has no
+// usable root (missing or incomplete ref), it is taken from the record of the
+// post's parent, fetched with getRecord: that parent's root, or the parent
+// itself if it starts the thread. A post that replies to nothing is its own
+// root. Resolves to null when the root can't be determined.
+async function resolveBlueskyReplyRefs(notification) {
+    const parent = { uri: notification.uri, cid: notification.cid };
+    const reply = notification.record?.reply;
+    if (!reply) {
+        return { root: parent, parent };
+    }
+
+    const root = strongRef(reply.root);
+    if (root) {
+        return { root, parent };
+    }
+
+    const parentUri = reply.parent?.uri;
+    if (!parentUri) {
+        debug('Bluesky reply record has neither a root nor a parent ref', 'warn', { uri: notification.uri });
+        return null;
+    }
+    try {
+        const response = await getBlueskyRecord(parentUri);
+        if (!response.ok) {
+            debug('Failed to fetch Bluesky parent record', 'warn', { uri: parentUri, status: response.status });
+            return null;
+        }
+        const record = await response.json();
+        const resolved = strongRef(record.value?.reply?.root) || strongRef({ uri: parentUri, cid: record.cid });
+        return resolved ? { root: resolved, parent } : null;
     } catch (error) {
-        debug('Error authenticating with Bluesky:', 'error', error);
+        debug('Error fetching Bluesky parent record:', 'error', error);
         return null;
     }
 }
+
+const blueskyAdapter = {
+    name: 'bluesky',
+    label: 'Bluesky',
+    // Bluesky's limit is 300 graphemes; callers count code points (never fewer
+    // than graphemes), which keeps them safely under it.
+    maxLength: 300,
+    replyReasons: ['reply', 'mention', 'quote'],
+
+    // BLUESKY_API_URL defaults to bsky.social, so it isn't required.
+    credentials: ['BLUESKY_USERNAME', 'BLUESKY_PASSWORD'],
+
+    async post(text) {
+        const auth = await requireBlueskyAuth();
+        const data = await responseJson(await createBlueskyRecord(auth, {
+            text,
+            createdAt: new Date().toISOString()
+        }), 'post to Bluesky');
+        return { id: data.uri };
+    },
+
+    // Threaded under the notification's post, at the right root.
+    async reply(notification, text) {
+        const auth = await requireBlueskyAuth();
+        const refs = await resolveBlueskyReplyRefs(notification.raw);
+        if (!refs) {
+            throw new Error('Could not resolve the thread root to reply under');
+        }
+        const data = await responseJson(await createBlueskyRecord(auth, {
+            text,
+            reply: refs,
+            createdAt: new Date().toISOString()
+        }), 'post reply to Bluesky');
+        return { id: data.uri };
+    },
+
+    fetchPost: fetchBlueskyPost,
+
+    // Replies and quotes point at one of our posts (`reasonSubject`); a
+    // mention inside a thread responds to its parent; a fresh mention is its
+    // own context. Only our own posts are answered: an uncached subject is
+    // fetched only if it is in our repo, so a reply elsewhere in one of our
+    // threads isn't.
+    async replyContext(notification) {
+        const { raw } = notification;
+        if (raw.reason === 'reply' || raw.reason === 'quote') {
+            const subject = raw.reasonSubject;
+            if (!(await getOriginalPost('bluesky', subject))) {
+                const auth = await getBlueskyAuth();
+                if (parseAtUri(subject)?.repo !== auth?.did) {
+                    return null;
+                }
+            }
+            return getBlueskyPostText(subject);
+        }
+        const parentUri = raw.record?.reply?.parent?.uri;
+        return parentUri ? getBlueskyPostText(parentUri) : raw.record?.text;
+    },
+
+    // The posts above this one, from getPostThread's parent chain, fetched
+    // `height` levels up. A post is the bot's if its author is the logged-in
+    // account.
+    async fetchThread(notification, { height }) {
+        const auth = await getBlueskyAuth();
+        if (!auth) {
+            return null;
+        }
+        const response = await getBlueskyPostThread(auth, notification.postId, { depth: 0, parentHeight: height });
+        if (!response.ok) {
+            debug('Failed to fetch Bluesky thread', 'warn', { uri: notification.postId, status: response.status });
+            return null;
+        }
+        const { thread } = await response.json();
+        const ancestors = [];
+        let depth = 0;
+        let visible = true;
+        for (let node = thread?.parent; node; node = node.parent) {
+            depth++;
+            // Deleted or blocked parents have no `post`; the visible thread ends there.
+            visible = visible && !!node.post;
+            if (visible) {
+                ancestors.unshift({ text: node.post.record?.text, own: node.post.author?.did === auth.did });
+            }
+        }
+        return { ancestors, depth };
+    },
+
+    async listNotifications() {
+        const auth = await requireBlueskyAuth();
+        const data = await responseJson(await listBlueskyNotifications(auth), 'fetch Bluesky notifications');
+        return (data.notifications || []).map(blueskyNotification);
+    },
+
+    async markSeen() {
+        const auth = await requireBlueskyAuth();
+        await updateBlueskySeen(auth, new Date().toISOString());
+    },
+
+    async authorFeed(account, options) {
+        return fetchBlueskyAccountPosts(await requireBlueskyAuth(), account, options);
+    },
+
+    toNotification: blueskyNotification
+};
+
+// Threads adapter (Meta's Threads API). Posting is two steps: create a media
+// container holding the text, then publish it once the container's status says
+// it is ready. Notifications aren't read from Threads and it has no
+// source-account feed for other users: it is a posting target only, so it has
+// none of the reply members.
+
+function threadsUrl(path) {
+    return `${process.env.THREADS_API_URL || 'https://graph.threads.net/v1.0'}${path}`;
+}
+
+// POST Threads API parameters as a form, keeping the access token out of URLs
+// (and so out of logs).
+function postThreadsForm(path, params) {
+    const body = new URLSearchParams();
+    for (const [key, value] of Object.entries({ ...params, access_token: process.env.THREADS_ACCESS_TOKEN })) {
+        if (value !== undefined && value !== null) {
+            body.set(key, String(value));
+        }
+    }
+    return fetch(threadsUrl(path), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: body.toString()
+    });
+}
+
+// How often, and how far apart, a new container's status is checked before
+// giving up on publishing it.
+const THREADS_STATUS_CHECKS = 5;
+const THREADS_STATUS_INTERVAL_MS = 1000;
+
+// Wait until container `id` can be published: its status is FINISHED. Throws
+// when it failed or expired, or is still processing after the last check.
+async function waitForThreadsContainer(id) {
+    for (let check = 1; check <= THREADS_STATUS_CHECKS; check++) {
+        const response = await fetch(threadsUrl(`/${id}${queryString({ fields: 'status,error_message' })}`), {
+            headers: { 'Authorization': `Bearer ${process.env.THREADS_ACCESS_TOKEN}` }
+        });
+        const { status, error_message: errorMessage } = await responseJson(response, 'check Threads container');
+        if (status === 'FINISHED') {
+            return;
+        }
+        if (status === 'ERROR' || status === 'EXPIRED') {
+            throw new Error(`Threads container ${id} is ${status}${errorMessage ? `: ${errorMessage}` : ''}`);
+        }
+        if (check < THREADS_STATUS_CHECKS) {
+            await new Promise(resolve => setTimeout(resolve, THREADS_STATUS_INTERVAL_MS));
+        }
+    }
+    throw new Error(`Threads container ${id} was not ready after ${THREADS_STATUS_CHECKS} checks`);
+}
+
+// Create a text container, wait for it, then publish it. Resolves to the
+// published post's id.
+async function publishThreadsText(text) {
+    const userId = process.env.THREADS_USER_ID;
+    const container = await responseJson(await postThreadsForm(`/${userId}/threads`, {
+        media_type: 'TEXT',
+        text
+    }), 'create Threads container');
+    await waitForThreadsContainer(container.id);
+    const published = await responseJson(await postThreadsForm(`/${userId}/threads_publish`, {
+        creation_id: container.id
+    }), 'publish Threads container');
+    return published.id;
+}
+
+const threadsAdapter = {
+    name: 'threads',
+    label: 'Threads',
+    maxLength: 500,
+
+    credentials: ['THREADS_USER_ID', 'THREADS_ACCESS_TOKEN'],
+
+    post: async text => ({ id: await publishThreadsText(text) }),
+
+    authorFeed: async () => {
+        throw new Error('Threads source accounts are not supported');
+    }
+};
+
+// Platform adapters. Every platform the bot runs on is an object with a common
+// shape, so the core (posting in bot.js, replying in replies.js, harvesting
+// source accounts) loops over the enabled adapters instead of naming
+// platforms; adding one means adding an adapter here.
+//
+//   name, label        'mastodon' (keys, KV prefixes) and 'Mastodon' (logs)
+//   maxLength          longest post, in code points
+//   credentials        environment variables it can't run without
+//   post(text)         publish a post; resolves to { id, url? }
+//   authorFeed(account, options)
+//                      an account's posts, newest first, and the cursor to
+//                      fetch the next ones from (see above)
+//
+// Platforms the bot also answers notifications on (see supportsReplies) add:
+//
+//   replyReasons       notification reasons the bot answers
+//   reply(n, text)     publish a reply to notification n's post; { id, url? }
+//   fetchPost(id)      a post's text by id, or null
+//   replyContext(n)    the text n responds to, or null if it isn't answered
+//   fetchThread(n, { turns, height })
+//                      the posts above n's as { ancestors: [{ text, own }],
+//                      depth }, oldest first; null if unavailable
+//   listNotifications() the account's notifications, normalized (below)
+//   markSeen(list)     mark those notifications read
+//   toNotification(raw) normalize one platform notification
+//
+// Normalized notifications are { platform, id, reason, postId, text,
+// author: { id, handle, bot }, createdAt, raw }: `id` is what dedupe markers
+// are keyed on, `postId` the post to reply to. Operations that publish or list
+// throw on failure; the others resolve to null.
+const PLATFORM_ADAPTERS = [mastodonAdapter, blueskyAdapter, threadsAdapter];
+
+function getPlatformAdapter(name) {
+    return PLATFORM_ADAPTERS.find(adapter => adapter.name === name) || null;
+}
+
+function allPlatforms() {
+    return [...PLATFORM_ADAPTERS];
+}
+
+// The credential variables `adapter` needs that aren't set.
+function missingCredentials(adapter) {
+    return adapter.credentials.filter(name => !process.env[name]);
+}
+
+// Platform names listed in ENABLED_PLATFORMS (comma-separated, any case), or
+// null when it's unset or empty and every platform with credentials runs.
+function enabledPlatformNames() {
+    const names = (process.env.ENABLED_PLATFORMS || '')
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean);
+    return names.length > 0 ? names : null;
+}
+
+// Adapters the bot runs on, in a fixed order: those with all their credentials
+// set and, when ENABLED_PLATFORMS is, listed there. Posting, replying and
+// source harvesting only ever touch these.
+function enabledPlatforms() {
+    const names = enabledPlatformNames();
+    return PLATFORM_ADAPTERS.filter(adapter =>
+        (!names || names.includes(adapter.name)) && missingCredentials(adapter).length === 0);
+}
+
+// Whether the bot answers notifications on `adapter`'s platform.
+function supportsReplies(adapter) {
+    return typeof adapter.reply === 'function';
+}
+
+// Enabled adapters the bot answers notifications on.
+function replyPlatforms() {
+    return enabledPlatforms().filter(supportsReplies);
+}
+
 export {
     postMastodonStatus,
     getMastodonStatus,
+    getMastodonStatusContext,
+    parseAtUri,
+    getBlueskyRecord,
+    resolveBlueskyHandle,
     createBlueskyRecord,
+    lookupMastodonAccount,
+    getMastodonAccountStatuses,
+    getBlueskyAuthorFeed,
+    getBlueskyPostThread,
     getMastodonNotifications,
     listBlueskyNotifications,
     updateBlueskySeen,
-    getBlueskyAuth
+    getBlueskyAuth,
+    fetchMastodonAccountPosts,
+    fetchBlueskyAccountPosts,
+    resolveBlueskyReplyRefs,
+    getPlatformAdapter,
+    allPlatforms,
+    missingCredentials,
+    enabledPlatformNames,
+    enabledPlatforms,
+    supportsReplies,
+    replyPlatforms
 };
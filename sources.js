@@ -0,0 +1,11 @@
+// Source-account helpers for the Markov corpus. The posts themselves are
+// fetched by each platform adapter's `authorFeed` (social.js), which also
+// tracks how far the harvester in bot.js has read.
+
+// Accounts are configured as "@user@instance" or "@handle.bsky.social"; the APIs
+// want them without the leading "@".
+function normalizeAccount(account) {
+    return account.trim().replace(/^@/, '');
+}
+
+export { normalizeAccount };
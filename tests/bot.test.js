@@ -1,5 +1,8 @@
 import { describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
-import { generatePost, loadConfig, cleanText } from '../bot.js';
+import { generatePost, loadConfig, cleanText, MarkovChain, rankCandidates, generateRankedPost, applyVotes } from '../bot.js';
+import { initFeedback, recordContent, recordVote } from '../feedback.js';
+import { LocalStorage } from '../kv.js';
+import { fingerprint } from '../fingerprints.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs/promises';
@@ -77,6 +80,7 @@ describe('Bot', () => {
             expect(config.markovMaxChars).toBe(280); // default value
             expect(config.markovMaxTries).toBe(100); // default value
             expect(config.postProbability).toBe(0.3); // default value
+            expect(config.postCandidates).toBe(1); // ranking is opt-in
         });
 
         test('parses POST_PROBABILITY and clamps invalid values to the default', async () => {
@@ -97,6 +101,31 @@ describe('Bot', () => {
             process.env = {}; // Clear all environment variables
             await expect(loadConfig()).rejects.toThrow('Missing required environment variables');
         });
+
+        test('runs on whichever platforms have credentials', async () => {
+            process.env = { BLUESKY_USERNAME: 'test.user', BLUESKY_PASSWORD: 'test_password' };
+            expect((await loadConfig()).platforms).toEqual(['bluesky']);
+
+            // Half-set credentials disable a platform instead of failing the run.
+            process.env = { ...TEST_ENV };
+            delete process.env.MASTODON_ACCESS_TOKEN;
+            expect((await loadConfig()).platforms).toEqual(['bluesky']);
+
+            process.env = { ...TEST_ENV, THREADS_USER_ID: '42', THREADS_ACCESS_TOKEN: 'threads_token' };
+            expect((await loadConfig()).platforms).toEqual(['mastodon', 'bluesky', 'threads']);
+        });
+
+        test('ENABLED_PLATFORMS limits the platforms used', async () => {
+            process.env = { ...TEST_ENV, ENABLED_PLATFORMS: ' Mastodon, ' };
+            expect((await loadConfig()).platforms).toEqual(['mastodon']);
+
+            // A listed platform still needs its credentials.
+            process.env = { ...TEST_ENV, ENABLED_PLATFORMS: 'mastodon,threads' };
+            expect((await loadConfig()).platforms).toEqual(['mastodon']);
+
+            process.env = { ...TEST_ENV, ENABLED_PLATFORMS: 'threads' };
+            await expect(loadConfig()).rejects.toThrow('no platform is enabled');
+        });
     });
 
     describe('cleanText', () => {
@@ -222,4 +251,110 @@ describe('Bot', () => {
             expect(uniqueGenerations.size).toBeGreaterThan(1);
         });
     });
+
+    describe('candidate ranking', () => {
+        const corpus = [
+            'The quick brown fox jumps over the lazy dog while the farmer sleeps soundly',
+            'A slow green turtle walks past the sleeping farmer on a warm afternoon',
+            'Every morning the farmer feeds the chickens before the sun comes up'
+        ];
+        let markov;
+
+        beforeEach(async () => {
+            Object.assign(process.env, TEST_ENV, { MARKOV_MIN_CHARS: '40', MARKOV_MAX_CHARS: '120', EXCLUDED_WORDS: 'turtle' });
+            await loadConfig();
+            markov = new MarkovChain(2);
+            await markov.addData(corpus);
+        });
+
+        test('scores original, well-sized, unrepetitive candidates higher', () => {
+            const copied = { string: corpus[0], seed: 1 };
+            const original = { string: 'The lazy dog feeds the farmer every warm morning before the quick fox', seed: 2 };
+            const repetitive = { string: 'the farmer the farmer the farmer the farmer the farmer the farmer the farmer', seed: 3 };
+
+            const ranked = rankCandidates([copied, repetitive, original], markov);
+            expect(ranked.map(candidate => candidate.seed)).toEqual([2, 1, 3]);
+            expect(ranked[1].scores.originality).toBe(0);
+            expect(ranked[2].scores.repetition).toBeLessThan(0.5);
+            ranked.forEach(candidate => {
+                expect(candidate.score).toBeGreaterThanOrEqual(0);
+                expect(candidate.score).toBeLessThanOrEqual(1);
+            });
+        });
+
+        test('drops candidates with profanity or excluded words', () => {
+            const ranked = rankCandidates([
+                { string: 'What the fuck is the farmer doing', seed: 1 },
+                { string: 'A turtle walks past the farmer', seed: 2 },
+                { string: 'The farmer feeds the chickens', seed: 3 }
+            ], markov);
+            expect(ranked.map(candidate => candidate.seed)).toEqual([3]);
+        });
+
+        test('drops candidates too similar to a recent post', () => {
+            const recent = [{ id: 'old', postedAt: Date.now(), signature: fingerprint('The farmer feeds the chickens every morning') }];
+            const ranked = rankCandidates([
+                { string: 'The farmer feeds the chickens every morning!', seed: 1 },
+                { string: 'The lazy dog feeds the farmer every warm morning', seed: 2 }
+            ], markov, { recent });
+            expect(ranked.map(candidate => candidate.seed)).toEqual([2]);
+        });
+
+        test('generateRankedPost keeps the runners-up and their scores', async () => {
+            process.env.POST_CANDIDATES = '4';
+            await loadConfig();
+            const post = await generateRankedPost(markov, { seed: 100 });
+            expect(post.string.length).toBeGreaterThanOrEqual(40);
+            expect(post.runnersUp.length).toBeLessThanOrEqual(3);
+            post.runnersUp.forEach(runnerUp => {
+                expect(Object.keys(runnerUp).sort()).toEqual(['score', 'scores', 'seed', 'string']);
+                expect(runnerUp.score).toBeLessThanOrEqual(post.score);
+            });
+            // Same seed, same candidates, same winner.
+            expect((await generateRankedPost(markov, { seed: 100 })).string).toBe(post.string);
+        });
+    });
+
+    describe('applyVotes', () => {
+        const corpus = [
+            'The farmer feeds the chickens every morning',
+            'The farmer sells the eggs at the market'
+        ];
+
+        const vote = async (content, value) => {
+            const record = await recordContent({ type: 'post', platform: 'mastodon', id: content, content });
+            await recordVote({ type: 'post', id: record.id, vote: value });
+        };
+
+        beforeEach(async () => {
+            Object.assign(process.env, TEST_ENV, { DEBUG_LEVEL: 'error' });
+            initFeedback(new LocalStorage());
+        });
+
+        test('upweights upvoted posts and penalizes downvoted ones', async () => {
+            await loadConfig();
+            await vote('The farmer feeds the chickens every morning', 1);
+            await vote('The farmer sells the eggs at the market', -1);
+            await recordContent({ type: 'post', platform: 'mastodon', id: 'x', content: 'The farmer naps' });
+
+            const markov = new MarkovChain(2);
+            await markov.addData(corpus);
+            expect(await applyVotes(markov)).toEqual({ upvoted: 1, downvoted: 1 });
+            expect(markov.chain.get('The farmer')).toEqual(new Map([['feeds', 4], ['sells', 0.25]]));
+            // Upvoted posts join the texts the originality guard compares against.
+            expect(markov.texts).toContain('The farmer feeds the chickens every morning');
+        });
+
+        test('VOTE_UPVOTE_WEIGHT=0 and VOTE_DOWNVOTE_FACTOR=1 turn it off', async () => {
+            Object.assign(process.env, { VOTE_UPVOTE_WEIGHT: '0', VOTE_DOWNVOTE_FACTOR: '1' });
+            await loadConfig();
+            await vote('The farmer feeds the chickens every morning', 1);
+            await vote('The farmer sells the eggs at the market', -1);
+
+            const markov = new MarkovChain(2);
+            await markov.addData(corpus);
+            expect(await applyVotes(markov)).toEqual({ upvoted: 0, downvoted: 0 });
+            expect(markov.chain.get('The farmer')).toEqual(new Map([['feeds', 1], ['sells', 1]]));
+        });
+    });
 });
@@ -0,0 +1,185 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import { approvalMode, queueDraft, listDrafts, getDraft, reviewDraft, claimDraft } from '../drafts.js';
+import { publishApprovedDrafts } from '../bot.js';
+import { initPostsKV, getPostsKV } from '../posts.js';
+import { loadScheduleState } from '../schedule.js';
+import { loadRecentFingerprints, recordFingerprint } from '../fingerprints.js';
+import { initFeedback, listFeedback } from '../feedback.js';
+import { LocalStorage } from '../kv.js';
+
+describe('drafts', () => {
+    let envBackup;
+
+    beforeAll(() => {
+        envBackup = { ...process.env };
+        // Debug mode: publishing records feedback without calling any platform.
+        Object.assign(process.env, {
+            DEBUG_MODE: 'true',
+            DEBUG_LEVEL: 'error',
+            MASTODON_API_URL: 'https://mastodon.example',
+            MASTODON_ACCESS_TOKEN: 'token',
+            BLUESKY_USERNAME: 'bot.bsky.social',
+            BLUESKY_PASSWORD: 'password'
+        });
+    });
+
+    afterAll(() => {
+        process.env = { ...envBackup };
+    });
+
+    beforeEach(() => {
+        const kv = new LocalStorage();
+        initPostsKV(kv);
+        initFeedback(kv);
+        ['APPROVAL_MODE', 'POST_WINDOWS', 'POST_MIN_GAP_MINUTES', 'POST_MAX_PER_DAY'].forEach(key => delete process.env[key]);
+    });
+
+    test('approval mode is off unless APPROVAL_MODE is true', () => {
+        expect(approvalMode()).toBe(false);
+        process.env.APPROVAL_MODE = 'true';
+        expect(approvalMode()).toBe(true);
+    });
+
+    test('queued drafts are listed oldest first and filtered by status', async () => {
+        const first = await queueDraft({ type: 'post', content: 'first draft', details: { seed: 7 } });
+        const second = await queueDraft({ type: 'post', content: 'second draft' });
+        await reviewDraft(first.id, { action: 'reject' });
+
+        expect((await listDrafts()).map(draft => draft.content)).toEqual(['first draft', 'second draft']);
+        expect((await listDrafts({ status: 'pending' })).map(draft => draft.id)).toEqual([second.id]);
+        expect(await getDraft(first.id)).toMatchObject({ status: 'rejected', details: { seed: 7 } });
+    });
+
+    test('review actions edit, approve and reject', async () => {
+        const draft = await queueDraft({ type: 'post', content: 'rough draft' });
+
+        expect(await reviewDraft(draft.id, { action: 'edit', content: '  polished draft ' }))
+            .toMatchObject({ status: 'pending', content: 'polished draft' });
+        expect(await reviewDraft(draft.id, { action: 'approve' })).toMatchObject({ status: 'approved' });
+        expect(await reviewDraft(draft.id, { action: 'reject', content: 'ignored' }))
+            .toMatchObject({ status: 'rejected', content: 'polished draft' });
+
+        await expect(reviewDraft(draft.id, { action: 'approve' })).rejects.toThrow('Draft is already rejected');
+        expect(await reviewDraft('missing', { action: 'approve' })).toBeNull();
+    });
+
+    test('invalid actions and content are refused', async () => {
+        const draft = await queueDraft({ type: 'post', content: 'a draft' });
+        await expect(reviewDraft(draft.id, { action: 'publish' })).rejects.toThrow('Action must be one of');
+        await expect(reviewDraft(draft.id, { action: 'edit' })).rejects.toThrow('Missing content');
+        await expect(reviewDraft(draft.id, { action: 'edit', content: '   ' })).rejects.toThrow('non-empty');
+        // Posts go to every enabled platform, so Bluesky's 300 is the limit.
+        await expect(reviewDraft(draft.id, { action: 'approve', content: 'x'.repeat(301) }))
+            .rejects.toThrow('longer than 300');
+        expect(await getDraft(draft.id)).toMatchObject({ status: 'pending', content: 'a draft' });
+    });
+
+    test('publishApprovedDrafts publishes approved posts only', async () => {
+        const approved = await queueDraft({ type: 'post', content: 'approved post', details: { seed: 42 } });
+        const pending = await queueDraft({ type: 'post', content: 'pending post' });
+        await reviewDraft(approved.id, { action: 'approve' });
+
+        expect(await publishApprovedDrafts()).toEqual({ published: 1, failed: 0 });
+        expect(await getDraft(approved.id)).toMatchObject({ status: 'published' });
+        expect(await getDraft(pending.id)).toMatchObject({ status: 'pending' });
+
+        const [record] = await listFeedback({ type: 'post' });
+        expect(record).toMatchObject({ content: 'approved post', seed: 42 });
+
+        // Published drafts aren't published again.
+        expect(await publishApprovedDrafts()).toEqual({ published: 0, failed: 0 });
+    });
+
+    // A schedule with one slot, due a minute ago, and the posts already made.
+    const scheduleSlot = (posted = []) => getPostsKV().put('schedule:state', JSON.stringify({
+        queue: [Date.now() - 60 * 1000],
+        planEnd: Date.now() + 60 * 60 * 1000,
+        posted
+    }));
+
+    const approvePosts = async (...contents) => {
+        const drafts = [];
+        for (const content of contents) {
+            const draft = await queueDraft({ type: 'post', content });
+            drafts.push(await reviewDraft(draft.id, { action: 'approve' }));
+        }
+        return drafts;
+    };
+
+    test('debug-mode publishing uses the slot but not the gap or cap', async () => {
+        process.env.POST_MAX_PER_DAY = '1';
+        await scheduleSlot();
+        await approvePosts('only pretending to post');
+
+        expect(await publishApprovedDrafts()).toEqual({ published: 1, failed: 0 });
+        expect(await loadScheduleState()).toMatchObject({ queue: [], posted: [] });
+    });
+
+    test('with the schedule on, one approved post goes out per due slot', async () => {
+        Object.assign(process.env, { POST_MAX_PER_DAY: '2', POST_MIN_GAP_MINUTES: '0' });
+        await scheduleSlot();
+        const [first, second] = await approvePosts('first approved post', 'second approved post');
+        const reply = await queueDraft({ type: 'reply', platform: 'threads', content: 'a reply', notification: {} });
+        await reviewDraft(reply.id, { action: 'approve' });
+
+        // Replies aren't scheduled; the second post waits for the next slot.
+        expect(await publishApprovedDrafts()).toEqual({ published: 1, failed: 1 });
+        expect(await getDraft(first.id)).toMatchObject({ status: 'published' });
+        expect(await getDraft(second.id)).toMatchObject({ status: 'approved' });
+    });
+
+    test('an approved post waits outside the active hours', async () => {
+        const hour = (new Date().getUTCHours() + 2) % 24;
+        const clock = h => `${String(h).padStart(2, '0')}:00`;
+        process.env.POST_WINDOWS = `${clock(hour)}-${clock((hour + 1) % 24)}`;
+        await scheduleSlot();
+        const [draft] = await approvePosts('an approved post');
+
+        expect(await publishApprovedDrafts()).toEqual({ published: 0, failed: 0 });
+        expect(await getDraft(draft.id)).toMatchObject({ status: 'approved' });
+    });
+
+    test('an approved post waits while the daily cap is reached', async () => {
+        Object.assign(process.env, { POST_MAX_PER_DAY: '1', POST_MIN_GAP_MINUTES: '0' });
+        await scheduleSlot([Date.now() - 60 * 60 * 1000]);
+        const [draft] = await approvePosts('an approved post');
+
+        expect(await publishApprovedDrafts()).toEqual({ published: 0, failed: 0 });
+        expect(await getDraft(draft.id)).toMatchObject({ status: 'approved' });
+    });
+
+    test('a draft is claimed once before it is published', async () => {
+        const [draft] = await approvePosts('an approved post');
+        expect(await claimDraft(draft.id)).toMatchObject({ status: 'publishing' });
+        expect(await claimDraft(draft.id)).toBeNull();
+
+        // A claimed draft is left to the run that claimed it.
+        expect(await publishApprovedDrafts()).toEqual({ published: 0, failed: 0 });
+    });
+
+    test('an approved post that repeats a recent one is marked failed', async () => {
+        await recordFingerprint('the same thing said twice over');
+        const draft = await queueDraft({ type: 'post', content: 'The same thing, said twice over!' });
+        await reviewDraft(draft.id, { action: 'approve' });
+
+        expect(await publishApprovedDrafts()).toEqual({ published: 0, failed: 1 });
+        expect(await getDraft(draft.id)).toMatchObject({ status: 'failed' });
+        expect((await getDraft(draft.id)).error).toMatch(/^Too similar to a post from /);
+    });
+
+    test('debug-mode posts are not fingerprinted', async () => {
+        const draft = await queueDraft({ type: 'post', content: 'the same thing said twice over' });
+        await reviewDraft(draft.id, { action: 'approve' });
+
+        expect(await publishApprovedDrafts()).toEqual({ published: 1, failed: 0 });
+        expect(await loadRecentFingerprints()).toEqual([]);
+    });
+
+    test('a draft that cannot be published is marked failed', async () => {
+        const draft = await queueDraft({ type: 'reply', platform: 'threads', content: 'a reply', notification: {} });
+        await reviewDraft(draft.id, { action: 'approve' });
+
+        expect(await publishApprovedDrafts()).toEqual({ published: 0, failed: 1 });
+        expect(await getDraft(draft.id)).toMatchObject({ status: 'failed', error: 'Platform threads is not enabled for replies' });
+    });
+});
@@ -0,0 +1,88 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import http from 'http';
+import { buildFacets, byteLength } from '../facets.js';
+import { createBlueskyRecord } from '../social.js';
+
+// Slice `text` by a facet's byte range, to check offsets against the content.
+function sliceBytes(text, { byteStart, byteEnd }) {
+    return Buffer.from(text, 'utf8').subarray(byteStart, byteEnd).toString('utf8');
+}
+
+describe('buildFacets', () => {
+    const resolveHandle = async handle => (handle === 'alice.bsky.social' ? 'did:plc:alice' : null);
+
+    test('finds mentions, links and hashtags with UTF-8 byte offsets', async () => {
+        const text = '☕ @alice.bsky.social see https://example.com/a?b=1 #café';
+        const facets = await buildFacets(text, { resolveHandle });
+
+        expect(facets.map(f => f.features[0])).toEqual([
+            { $type: 'app.bsky.richtext.facet#mention', did: 'did:plc:alice' },
+            { $type: 'app.bsky.richtext.facet#link', uri: 'https://example.com/a?b=1' },
+            { $type: 'app.bsky.richtext.facet#tag', tag: 'café' }
+        ]);
+        expect(facets.map(f => sliceBytes(text, f.index))).toEqual([
+            '@alice.bsky.social',
+            'https://example.com/a?b=1',
+            '#café'
+        ]);
+        // The emoji is 3 bytes but 1 UTF-16 unit: byte offsets must not drift.
+        expect(facets[0].index.byteStart).toBe(byteLength('☕ '));
+    });
+
+    test('leaves unresolvable handles and Mastodon-style names as text', async () => {
+        const facets = await buildFacets('hi @bob.example.com and @carol', { resolveHandle });
+        expect(facets).toEqual([]);
+    });
+
+    test('trims sentence punctuation from links and tags', async () => {
+        const text = 'Read it (https://example.com/x). Great! #news.';
+        const facets = await buildFacets(text);
+        expect(facets.map(f => sliceBytes(text, f.index))).toEqual(['https://example.com/x', '#news']);
+    });
+
+    test('ignores numeric tags, fragments and emails', async () => {
+        expect(await buildFacets('item #1 at a@b.com, page#top')).toEqual([]);
+    });
+});
+
+describe('createBlueskyRecord', () => {
+    let server;
+    let created;
+
+    beforeAll(async () => {
+        process.env.DEBUG_LEVEL = 'error';
+        server = http.createServer(async (req, res) => {
+            const url = new URL(req.url, 'http://localhost');
+            let body = {};
+            if (url.pathname === '/xrpc/com.atproto.identity.resolveHandle') {
+                body = { did: `did:plc:${url.searchParams.get('handle').split('.')[0]}` };
+            } else if (url.pathname === '/xrpc/com.atproto.repo.createRecord') {
+                let raw = '';
+                for await (const chunk of req) raw += chunk;
+                created = JSON.parse(raw).record;
+                body = { uri: 'at://did:plc:bot/app.bsky.feed.post/1', cid: 'cid' };
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        process.env.BLUESKY_API_URL = `http://127.0.0.1:${server.address().port}`;
+        process.env.BLUESKY_APPVIEW_URL = process.env.BLUESKY_API_URL;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('attaches facets, resolving mentioned handles to DIDs', async () => {
+        const auth = { did: 'did:plc:bot', accessJwt: 'jwt' };
+        await createBlueskyRecord(auth, { text: '@dana.bsky.social hello', createdAt: 'now' });
+        expect(created.facets).toEqual([{
+            index: { byteStart: 0, byteEnd: 17 },
+            features: [{ $type: 'app.bsky.richtext.facet#mention', did: 'did:plc:dana' }]
+        }]);
+
+        await createBlueskyRecord(auth, { text: 'plain text', createdAt: 'now' });
+        expect(created.facets).toBeUndefined();
+    });
+});
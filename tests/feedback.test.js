@@ -1,5 +1,5 @@
 import { describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
-import { initFeedback, recordContent, recordVote, listFeedback, clearFeedback, summarizeFeedback } from '../feedback.js';
+import { initFeedback, recordContent, recordVote, listFeedback, listVoted, clearFeedback, summarizeFeedback } from '../feedback.js';
 import { LocalStorage } from '../kv.js';
 
 describe('feedback', () => {
@@ -45,6 +45,25 @@ describe('feedback', () => {
         expect(listed.model).toBe('@cf/google/gemma-4-26b-a4b-it');
     });
 
+    test('recordContent stores the generation seed', async () => {
+        const rec = await recordContent({ type: 'post', platform: 'mastodon', id: 'm1', content: 'seeded', model: 'markov', seed: 1234 });
+        expect(rec.seed).toBe(1234);
+        const [listed] = await listFeedback({ type: 'post' });
+        expect(listed.seed).toBe(1234);
+    });
+
+    test('recordContent stores the candidate ranking', async () => {
+        const ranking = {
+            score: 0.9,
+            scores: { length: 1, originality: 0.8, repetition: 1 },
+            runnersUp: [{ string: 'runner-up', seed: 8, score: 0.5, scores: { length: 0.5, originality: 0.4, repetition: 1 } }]
+        };
+        await recordContent({ type: 'post', platform: 'mastodon', id: 'm1', content: 'ranked', model: 'markov', seed: 7, ranking });
+        const [listed] = await listFeedback({ type: 'post' });
+        expect(listed.ranking).toEqual(ranking);
+        expect((await recordContent({ type: 'post', platform: 'bluesky', id: 'b1', content: 'unranked' })).ranking).toBeNull();
+    });
+
     test('recordContent rejects invalid input', async () => {
         expect(await recordContent({ type: 'bogus', platform: 'x', id: '1', content: 'y' })).toBeNull();
         expect(await recordContent({ type: 'post', platform: '', id: '1', content: 'y' })).toBeNull();
@@ -97,9 +116,58 @@ describe('feedback', () => {
     test('clearFeedback removes all records', async () => {
         await recordContent({ type: 'post', platform: 'mastodon', id: 'a', content: 'one' });
         await recordContent({ type: 'reply', platform: 'bluesky', id: 'b', content: 'two' });
+        await recordVote({ type: 'reply', platform: 'bluesky', id: 'b', vote: 1 });
         const removed = await clearFeedback();
         expect(removed).toBe(2);
         expect(await listFeedback()).toEqual([]);
+        expect(await listVoted()).toEqual([]);
+    });
+
+    test('listVoted reads only the records with a vote marker', async () => {
+        const up = await recordContent({ type: 'post', platform: 'mastodon', id: 'a', content: 'one' });
+        const down = await recordContent({ type: 'post', platform: 'mastodon', id: 'b', content: 'two' });
+        await recordContent({ type: 'post', platform: 'mastodon', id: 'c', content: 'three' });
+        await recordContent({ type: 'reply', platform: 'bluesky', id: 'r', content: 'four' });
+        await recordVote({ type: 'post', id: up.id, vote: 1 });
+        await recordVote({ type: 'post', id: down.id, vote: -1 });
+        await recordVote({ type: 'reply', platform: 'bluesky', id: 'r', vote: 1 });
+
+        expect(await kv.get(`feedback:voted:post:${up.id}`)).toBe('1');
+        expect(await kv.get('feedback:voted:reply:bluesky:r')).toBe('1');
+        expect((await listVoted({ type: 'post' })).map(r => r.content).sort()).toEqual(['one', 'two']);
+        expect((await listVoted({ type: 'reply' })).map(r => r.id)).toEqual(['r']);
+
+        // Clearing a vote drops its marker.
+        await recordVote({ type: 'post', id: down.id, vote: 0 });
+        expect(await kv.get(`feedback:voted:post:${down.id}`)).toBeUndefined();
+        expect((await listVoted({ type: 'post' })).map(r => r.content)).toEqual(['one']);
+
+        // The markers are not records.
+        expect(await listFeedback()).toHaveLength(4);
+    });
+
+    test('votes cast at the same time are all listed', async () => {
+        const records = await Promise.all(['one', 'two', 'three'].map(content =>
+            recordContent({ type: 'post', platform: 'mastodon', id: content, content })));
+        await listVoted();
+        await Promise.all(records.map(record => recordVote({ type: 'post', id: record.id, vote: 1 })));
+
+        expect(await listVoted({ type: 'post' })).toHaveLength(3);
+    });
+
+    test('listVoted builds markers for votes cast before they existed', async () => {
+        await kv.put('feedback:post:oldhash', JSON.stringify({
+            id: 'oldhash', type: 'post', platforms: ['bluesky'], content: 'o',
+            createdAt: '2020-01-01T00:00:00.000Z', vote: -1
+        }));
+        await kv.put('feedback:post:unrated', JSON.stringify({
+            id: 'unrated', type: 'post', platforms: ['bluesky'], content: 'u',
+            createdAt: '2020-01-01T00:00:00.000Z', vote: 0
+        }));
+
+        expect((await listVoted()).map(r => r.id)).toEqual(['oldhash']);
+        expect(await kv.get('feedback:voted:post:oldhash')).toBe('-1');
+        expect(await kv.get('feedback:voted:post:unrated')).toBeUndefined();
     });
 
     test('summarizeFeedback tallies votes', () => {
@@ -0,0 +1,90 @@
+import { describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import {
+    duplicateConfig,
+    fingerprint,
+    similarity,
+    loadRecentFingerprints,
+    findDuplicate,
+    recordFingerprint
+} from '../fingerprints.js';
+import { initPostsKV } from '../posts.js';
+import { LocalStorage } from '../kv.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const POST = 'The farmer feeds the chickens every morning before the sun comes up over the hill';
+
+describe('fingerprints', () => {
+    let envBackup;
+
+    beforeAll(() => {
+        // Silence info/warn logging during tests.
+        process.env.DEBUG_LEVEL = 'error';
+    });
+
+    beforeEach(() => {
+        envBackup = { ...process.env };
+        delete process.env.DUPLICATE_WINDOW_DAYS;
+        delete process.env.DUPLICATE_MAX_SIMILARITY;
+        initPostsKV(new LocalStorage());
+    });
+
+    afterEach(() => {
+        process.env = { ...envBackup };
+    });
+
+    test('reads its settings, falling back to the defaults', () => {
+        expect(duplicateConfig()).toEqual({ windowMs: 30 * DAY, maxSimilarity: 0.5 });
+        Object.assign(process.env, { DUPLICATE_WINDOW_DAYS: '7', DUPLICATE_MAX_SIMILARITY: '0.8' });
+        expect(duplicateConfig()).toEqual({ windowMs: 7 * DAY, maxSimilarity: 0.8 });
+        Object.assign(process.env, { DUPLICATE_WINDOW_DAYS: '-1', DUPLICATE_MAX_SIMILARITY: '2' });
+        expect(duplicateConfig()).toEqual({ windowMs: 30 * DAY, maxSimilarity: 0.5 });
+    });
+
+    test('near-duplicates score high and unrelated posts low', () => {
+        const signature = fingerprint(POST);
+        expect(signature).toHaveLength(32);
+        expect(fingerprint('')).toBeNull();
+
+        // Case and punctuation don't matter.
+        expect(similarity(signature, fingerprint(`${POST.toUpperCase()}!!`))).toBe(1);
+        expect(similarity(signature, fingerprint(POST.replace('the hill', 'the green hill')))).toBeGreaterThan(0.5);
+        expect(similarity(signature, fingerprint('A slow green turtle walks past the sleeping dog on a warm afternoon'))).toBeLessThan(0.2);
+    });
+
+    test('finds the most similar recent post above the threshold', async () => {
+        const now = Date.now();
+        await recordFingerprint('A slow green turtle walks past the sleeping dog on a warm afternoon', now - DAY);
+        await recordFingerprint(POST, now - 2 * DAY);
+
+        const recent = await loadRecentFingerprints(now);
+        expect(recent).toHaveLength(2);
+        expect(findDuplicate(`${POST}.`, recent)).toMatchObject({ postedAt: now - 2 * DAY, similarity: 1 });
+        expect(findDuplicate('Every evening the dog naps in the shade of the old barn', recent)).toBeNull();
+
+        process.env.DUPLICATE_MAX_SIMILARITY = '1';
+        expect(findDuplicate(POST, recent)).toBeNull();
+    });
+
+    test('posts older than the window stop counting and are pruned', async () => {
+        const now = Date.now();
+        await recordFingerprint(POST, now - 40 * DAY);
+        expect(await loadRecentFingerprints(now)).toEqual([]);
+
+        process.env.DUPLICATE_WINDOW_DAYS = '60';
+        expect(await loadRecentFingerprints(now)).toHaveLength(1);
+
+        process.env.DUPLICATE_WINDOW_DAYS = '30';
+        await recordFingerprint('Every evening the dog naps in the shade of the old barn', now);
+        process.env.DUPLICATE_WINDOW_DAYS = '60';
+        expect(await loadRecentFingerprints(now)).toHaveLength(1);
+    });
+
+    test('DUPLICATE_WINDOW_DAYS=0 disables the check and the index', async () => {
+        process.env.DUPLICATE_WINDOW_DAYS = '0';
+        await recordFingerprint(POST);
+        expect(await loadRecentFingerprints()).toEqual([]);
+
+        delete process.env.DUPLICATE_WINDOW_DAYS;
+        expect(await loadRecentFingerprints()).toEqual([]);
+    });
+});
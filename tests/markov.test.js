@@ -1,5 +1,6 @@
 import { describe, test, expect, beforeAll } from '@jest/globals';
 import { MarkovChain } from '../bot.js';
+import { LocalStorage, storeMarkovModel, getMarkovModel, markMarkovModelStale } from '../kv.js';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -119,4 +120,400 @@ describe('MarkovChain', () => {
         expect(result.string.length).toBeGreaterThanOrEqual(30);
         expect(result.string.length).toBeLessThanOrEqual(280);
     });
+
+    test('trains on a corpus too large to pass as arguments', async () => {
+        const markov = new MarkovChain(2);
+        const corpus = Array.from({ length: 200000 }, (_, i) => `post number ${i % 50}`);
+        await markov.addData(corpus);
+        await markov.addData(corpus);
+
+        expect(markov.texts).toHaveLength(400000);
+    });
+
+    describe('serialization', () => {
+        test('round-trips through toJSON/fromJSON', async () => {
+            const markov = new MarkovChain(2);
+            await markov.addData(sampleTweets);
+
+            const restored = MarkovChain.fromJSON(JSON.parse(JSON.stringify(markov)));
+            expect(restored.stateSize).toBe(2);
+            expect(restored.startStates).toEqual(markov.startStates);
+            expect(Array.from(restored.chain.entries())).toEqual(Array.from(markov.chain.entries()));
+
+            const result = await restored.generate({ minChars: 10, maxChars: 280, maxTries: 100 });
+            expect(result.string.length).toBeGreaterThanOrEqual(10);
+        });
+
+        test('rejects an unknown model format', () => {
+            expect(() => MarkovChain.fromJSON({ version: 0, chain: [] })).toThrow('Unsupported Markov model format');
+            expect(() => MarkovChain.fromJSON(null)).toThrow('Unsupported Markov model format');
+        });
+
+        test('a restored model keeps training incrementally', async () => {
+            const markov = new MarkovChain(2);
+            await markov.addData(['alpha beta gamma']);
+            const restored = MarkovChain.fromJSON(markov.toJSON());
+            await restored.addData(['alpha beta delta']);
+            expect(restored.chain.get('alpha beta')).toEqual(new Map([['gamma', 1], ['delta', 1]]));
+            expect(restored.startStates).toEqual(new Map([['alpha beta', 2]]));
+        });
+
+        test('stores and loads the model through KV', async () => {
+            process.env.DEBUG_LEVEL = 'error';
+            const env = { SOURCE_TWEETS: new LocalStorage() };
+            expect(await getMarkovModel(env)).toBeNull();
+
+            const markov = new MarkovChain(2);
+            await markov.addData(sampleTweets);
+            expect(await storeMarkovModel(env, markov.toJSON())).toBe(true);
+
+            const loaded = MarkovChain.fromJSON(await getMarkovModel(env));
+            expect(loaded.chain.size).toBe(markov.chain.size);
+            expect(loaded.startStates).toEqual(markov.startStates);
+        });
+
+        test('storing a model replaces the previous one and its batches', async () => {
+            process.env.DEBUG_LEVEL = 'error';
+            const env = { SOURCE_TWEETS: new LocalStorage() };
+            // A model stored before generations: batches under markov_model_<n>.
+            const legacy = new MarkovChain(2);
+            await legacy.addData(['alpha beta gamma']);
+            const { chain, ...meta } = legacy.toJSON();
+            await env.SOURCE_TWEETS.put('markov_model_0', JSON.stringify(chain));
+            await env.SOURCE_TWEETS.put('markov_model_meta', JSON.stringify({ ...meta, batches: 1 }));
+            expect(MarkovChain.fromJSON(await getMarkovModel(env)).chain.has('alpha beta')).toBe(true);
+
+            const bigger = new MarkovChain(2);
+            await bigger.addData(sampleTweets);
+            await storeMarkovModel(env, bigger.toJSON());
+            const smaller = new MarkovChain(2);
+            await smaller.addData(['one two three']);
+            await storeMarkovModel(env, smaller.toJSON());
+
+            expect(MarkovChain.fromJSON(await getMarkovModel(env)).chain).toEqual(smaller.chain);
+            const { keys } = await env.SOURCE_TWEETS.list({ prefix: 'markov_model_' });
+            const { generation } = JSON.parse(await env.SOURCE_TWEETS.get('markov_model_meta'));
+            expect(keys.map(key => key.name).sort()).toEqual([`markov_model_${generation}_0`, 'markov_model_meta'].sort());
+        });
+
+        test('a model marked stale is not loaded until it is stored again', async () => {
+            process.env.DEBUG_LEVEL = 'error';
+            const env = { SOURCE_TWEETS: new LocalStorage() };
+            const markov = new MarkovChain(2);
+            await markov.addData(['alpha beta gamma']);
+            await storeMarkovModel(env, markov.toJSON());
+            const { generation } = JSON.parse(await env.SOURCE_TWEETS.get('markov_model_meta'));
+
+            expect(await markMarkovModelStale(env)).toBe(true);
+            expect(await getMarkovModel(env)).toBeNull();
+
+            // Storing the rebuilt model still drops the stale one's batches.
+            await storeMarkovModel(env, markov.toJSON());
+            expect(MarkovChain.fromJSON(await getMarkovModel(env)).chain).toEqual(markov.chain);
+            expect(await env.SOURCE_TWEETS.get(`markov_model_${generation}_0`)).toBeUndefined();
+        });
+    });
+
+    describe('weighted transitions', () => {
+        test('stores one count per distinct next word', async () => {
+            const markov = new MarkovChain(1);
+            await markov.addData(['a b', 'a b', 'a b', 'a c']);
+            expect(markov.chain.get('a')).toEqual(new Map([['b', 3], ['c', 1]]));
+            expect(markov.startStates).toEqual(new Map([['a', 4]]));
+        });
+
+        test('samples next words in proportion to their counts', async () => {
+            const markov = new MarkovChain(1);
+            await markov.addData([...Array(9).fill('go left'), 'go right']);
+
+            const counts = { left: 0, right: 0 };
+            for (let i = 0; i < 2000; i++) {
+                counts[markov._generateOnce().split(' ')[1]]++;
+            }
+            expect(counts.left / 2000).toBeGreaterThan(0.8);
+            expect(counts.right).toBeGreaterThan(0);
+        });
+
+        test('state size 1 continues past the first word', async () => {
+            const markov = new MarkovChain(1);
+            await markov.addData(['one two three four']);
+            expect(markov._generateOnce()).toBe('one two three four');
+        });
+    });
+
+    describe('backoff', () => {
+        test('trains every order up to the state size', async () => {
+            const markov = new MarkovChain(3, { backoff: true });
+            await markov.addData(['a b c d']);
+            expect(markov.chain.get('a b c')).toEqual(new Map([['d', 1]]));
+            expect(markov.chain.get('b c')).toEqual(new Map([['d', 1]]));
+            expect(markov.chain.get('c')).toEqual(new Map([['d', 1]]));
+            // Only full-size states open a post.
+            expect(markov.startStates).toEqual(new Map([['a b c', 1]]));
+        });
+
+        test('falls back to a lower order at a dead end while too short', async () => {
+            // "x y z" dead-ends at order 3; order 1 continues from "z".
+            const texts = ['x y z', 'q z then carries on to the end'];
+
+            const fixed = new MarkovChain(3);
+            await fixed.addData(texts);
+            expect(fixed._generateOnce({ minChars: 20 })).toMatch(/^(x y z|q z then carries on to the end)$/);
+
+            const backoff = new MarkovChain(3, { backoff: true });
+            await backoff.addData(texts);
+            for (let i = 0; i < 20; i++) {
+                const result = backoff._generateOnce({ minChars: 20 });
+                expect(result.endsWith('then carries on to the end')).toBe(true);
+            }
+        });
+
+        test('stops at a dead end once the minimum length is reached', async () => {
+            const markov = new MarkovChain(3, { backoff: true });
+            await markov.addData(['x y z', 'q z then carries on to the end']);
+            expect(markov._generateOnce({ minChars: 1 })).toMatch(/^(x y z|q z then carries on to the end)$/);
+        });
+
+        test('backs off from thin states when minContinuations is raised', async () => {
+            const markov = new MarkovChain(2, { backoff: true });
+            await markov.addData(['start here one', 'x here two', 'y here three']);
+            const seen = new Set();
+            for (let i = 0; i < 200; i++) {
+                seen.add(markov._generateOnce({ minChars: 100, minContinuations: 2 }).split(' ')[2]);
+            }
+            expect(seen).toEqual(new Set(['one', 'two', 'three']));
+        });
+
+        test('generates within constraints from the sample corpus', async () => {
+            const markov = new MarkovChain(3, { backoff: true });
+            await markov.addData(sampleTweets);
+            const result = await markov.generate({ minChars: 30, maxChars: 280, maxTries: 100 });
+            expect(result.string.length).toBeGreaterThanOrEqual(30);
+            expect(result.string.length).toBeLessThanOrEqual(280);
+        });
+
+        test('survives serialization', async () => {
+            const markov = new MarkovChain(3, { backoff: true });
+            await markov.addData(['a b c d']);
+            const restored = MarkovChain.fromJSON(JSON.parse(JSON.stringify(markov)));
+            expect(restored.backoff).toBe(true);
+            expect(restored.chain.get('c')).toEqual(new Map([['d', 1]]));
+        });
+    });
+
+    describe('originality guard', () => {
+        test('scores the longest shared run and the covered share of words', async () => {
+            const markov = new MarkovChain(2);
+            await markov.addData(['a b c d e', 'x y z']);
+            expect(markov._overlap('a b c q x y')).toEqual({ words: 3, ratio: 0.5 });
+            expect(markov._overlap('q r s')).toEqual({ words: 0, ratio: 0 });
+        });
+
+        test('rejects candidates that copy a training text', async () => {
+            const markov = new MarkovChain(2);
+            await markov.addData(['the only sentence this chain can ever produce']);
+            await expect(markov.generate({ minChars: 1, maxOverlapWords: 5 }))
+                .rejects.toThrow('Failed to generate valid text within constraints');
+            await expect(markov.generate({ minChars: 1, maxOverlapRatio: 0.9 }))
+                .rejects.toThrow('Failed to generate valid text within constraints');
+        });
+
+        test('returns the overlap score of an accepted candidate', async () => {
+            const markov = new MarkovChain(1);
+            await markov.addData(['red fish swim fast', 'blue fish swim slow', 'green fish jump high']);
+            const result = await markov.generate({ minChars: 1, maxTries: 500, maxOverlapWords: 3 });
+            expect(result.overlap.words).toBeLessThanOrEqual(3);
+            expect(result.overlap.ratio).toBeLessThan(1);
+        });
+
+        test('omits the score when no limit is set', async () => {
+            const markov = new MarkovChain(2);
+            await markov.addData(sampleTweets);
+            const result = await markov.generate({ minChars: 10, maxChars: 280 });
+            expect(result.overlap).toBeUndefined();
+        });
+
+        test('a restored model compares against texts from setSourceTexts', async () => {
+            const markov = new MarkovChain(2);
+            await markov.addData(['a b c d e']);
+            const restored = MarkovChain.fromJSON(markov.toJSON());
+            expect(restored._overlap('a b c')).toEqual({ words: 0, ratio: 0 });
+            restored.setSourceTexts(['a b c d e']);
+            expect(restored._overlap('a b c')).toEqual({ words: 3, ratio: 1 });
+        });
+    });
+
+    describe('start and end markers', () => {
+        test('records an end-of-text transition after each text', async () => {
+            const markov = new MarkovChain(2);
+            await markov.addData(['a b c', 'a b c d']);
+            expect(markov.chain.get('b c')).toEqual(new Map([['\u0003', 1], ['d', 1]]));
+            expect(markov.chain.get('c d')).toEqual(new Map([['\u0003', 1]]));
+        });
+
+        test('ignores the end marker until the minimum length is reached', async () => {
+            const markov = new MarkovChain(1);
+            await markov.addData(['stop', 'stop here and keep going']);
+            for (let i = 0; i < 20; i++) {
+                expect(markov._generateOnce({ minChars: 10 })).toBe('stop here and keep going');
+            }
+        });
+
+        test('records capitalized sentence starts, including mid-text ones', async () => {
+            const markov = new MarkovChain(2);
+            await markov.addData(['lowercase start. Then A sentence', 'Capital start here']);
+            expect(markov.sentenceStarts).toEqual(new Map([['Then A', 1], ['Capital start', 1]]));
+        });
+
+        test('sentence mode starts capitalized and ends on a terminator', async () => {
+            const markov = new MarkovChain(1);
+            await markov.addData([
+                'fragment without an ending and more words',
+                'The cat sat on the mat. It purred and slept all day!',
+                'A dog ran to the park and barked at a duck.'
+            ]);
+            for (let i = 0; i < 20; i++) {
+                const { string } = await markov.generate({ minChars: 15, maxChars: 280, sentences: true });
+                expect(string).toMatch(/^[A-Z]/);
+                expect(string).toMatch(/[.!?]$/);
+            }
+        });
+
+        test('sentence starts survive serialization', async () => {
+            const markov = new MarkovChain(2);
+            await markov.addData(['One two. Three four']);
+            const restored = MarkovChain.fromJSON(JSON.parse(JSON.stringify(markov)));
+            expect(restored.sentenceStarts).toEqual(markov.sentenceStarts);
+        });
+    });
+
+    describe('seeded generation', () => {
+        const texts = [
+            'the cat sat on the mat and the dog sat on the rug',
+            'the dog ran to the park and the cat ran to the tree',
+            'a bird sat on the tree and the cat watched the bird'
+        ];
+
+        test('the same seed reproduces the same post', async () => {
+            const markov = new MarkovChain(1);
+            await markov.addData(texts);
+            const first = await markov.generate({ minChars: 20, maxChars: 200, seed: 1234 });
+            const second = await markov.generate({ minChars: 20, maxChars: 200, seed: 1234 });
+            expect(second).toEqual(first);
+            expect(first.seed).toBe(1234);
+        });
+
+        test('a restored model reproduces a post from its seed', async () => {
+            const markov = new MarkovChain(1);
+            await markov.addData(texts);
+            const restored = MarkovChain.fromJSON(JSON.parse(JSON.stringify(markov)));
+            const original = await markov.generate({ minChars: 20, maxChars: 200, seed: 'replay' });
+            expect(await restored.generate({ minChars: 20, maxChars: 200, seed: 'replay' })).toEqual(original);
+        });
+
+        test('different seeds give different posts', async () => {
+            const markov = new MarkovChain(1);
+            await markov.addData(texts);
+            const outputs = new Set();
+            for (let seed = 0; seed < 10; seed++) {
+                outputs.add((await markov.generate({ minChars: 20, maxChars: 200, seed })).string);
+            }
+            expect(outputs.size).toBeGreaterThan(1);
+        });
+
+        test('string seeds are normalized to a uint32', async () => {
+            const markov = new MarkovChain(1);
+            await markov.addData(texts);
+            expect((await markov.generate({ minChars: 20, seed: '42' })).seed).toBe(42);
+            expect((await markov.generate({ minChars: 20, seed: 'replay' })).seed).toEqual(expect.any(Number));
+            expect((await markov.generate({ minChars: 20 })).seed).toBeUndefined();
+        });
+    });
+
+    describe('keyword generation', () => {
+        const texts = [
+            'the cat sat on the mat and the dog sat on the rug',
+            'the dog ran to the park and the cat ran to the tree',
+            'a bird sat on the tree and the cat watched the bird',
+            'Morning coffee tastes better with a view of the park'
+        ];
+
+        test('every post contains the keyword, whatever its case', async () => {
+            const markov = new MarkovChain(2);
+            await markov.addData(texts);
+            for (let seed = 0; seed < 20; seed++) {
+                const { string } = await markov.generate({ minChars: 20, maxChars: 200, keyword: 'COFFEE', seed });
+                expect(string.split(' ')).toContain('coffee');
+            }
+        });
+
+        test('grows backwards from the keyword to a text start', async () => {
+            const markov = new MarkovChain(2);
+            await markov.addData(texts);
+            const { string } = await markov.generate({ minChars: 10, maxChars: 200, keyword: 'tastes better', seed: 1 });
+            expect(string.startsWith('Morning coffee tastes better')).toBe(true);
+        });
+
+        test('matches phrases longer than a state along the chain', async () => {
+            const markov = new MarkovChain(1);
+            await markov.addData(texts);
+            for (let seed = 0; seed < 10; seed++) {
+                const { string } = await markov.generate({ minChars: 10, maxChars: 200, keyword: 'sat on the', seed });
+                expect(string).toContain('sat on the');
+            }
+        });
+
+        test('a prefix starts every post', async () => {
+            const markov = new MarkovChain(2);
+            await markov.addData(texts);
+            for (let seed = 0; seed < 10; seed++) {
+                const { string } = await markov.generate({ minChars: 10, maxChars: 200, prefix: 'the dog', seed });
+                expect(string.startsWith('the dog')).toBe(true);
+            }
+            // "the park" occurs, but never at the start of a text.
+            await expect(markov.generate({ prefix: 'the park' })).rejects.toThrow('Phrase not found');
+        });
+
+        test('rejects a keyword the model has never seen', async () => {
+            const markov = new MarkovChain(2);
+            await markov.addData(texts);
+            await expect(markov.generate({ keyword: 'zebra' })).rejects.toThrow('Phrase not found in model: zebra');
+        });
+
+        test('works on a model restored from JSON', async () => {
+            const markov = new MarkovChain(2);
+            await markov.addData(texts);
+            const restored = MarkovChain.fromJSON(JSON.parse(JSON.stringify(markov)));
+            const options = { minChars: 20, maxChars: 200, keyword: 'park', seed: 7 };
+            expect(await restored.generate(options)).toEqual(await markov.generate(options));
+        });
+    });
+
+    describe('vote weighting', () => {
+        const texts = ['the cat sat on the mat', 'the cat ran up the tree'];
+
+        test('weighted texts count as that many copies', async () => {
+            const weighted = new MarkovChain(2);
+            await weighted.addData(texts);
+            await weighted.addData(['the cat sat on the mat'], { weight: 3 });
+
+            const copies = new MarkovChain(2);
+            await copies.addData([...texts, ...Array(3).fill('the cat sat on the mat')]);
+            expect(weighted.chain).toEqual(copies.chain);
+            expect(weighted.startStates).toEqual(copies.startStates);
+        });
+
+        test('penalize scales down the n-grams of the texts once each', async () => {
+            const markov = new MarkovChain(2);
+            await markov.addData(texts);
+
+            const scaled = markov.penalize(['the cat sat on the mat', 'the cat sat down', 'a zebra'], 0.25);
+            expect(markov.chain.get('the cat')).toEqual(new Map([['sat', 0.25], ['ran', 1]]));
+            expect(markov.chain.get('on the').get('mat')).toBe(0.25);
+            expect(markov.chain.get('the cat').has('down')).toBe(false);
+            expect(markov.startStates.get('the cat')).toBe(0.5);
+            // the cat/sat, cat sat/on, sat on/the, on the/mat, the mat/end, and the start.
+            expect(scaled).toBe(6);
+        });
+    });
 });
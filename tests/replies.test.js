@@ -1,8 +1,33 @@
-import { describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
-import { generateReply, initAI, handleMastodonReply } from '../replies.js';
+import { jest, describe, test, expect, beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
+import http from 'http';
+import {
+    generateReply,
+    composeReply,
+    extractKeywords,
+    boundHistory,
+    isAuthorRateLimited,
+    recordAuthorReply,
+    initAI,
+    initMarkov,
+    handleNotification,
+    publishReplyDraft,
+    checkNotifications
+} from '../replies.js';
+import { getPlatformAdapter, resolveBlueskyReplyRefs } from '../social.js';
 import { initPostsKV, loadRecentPostsFromKV, getOriginalPost } from '../posts.js';
-import { initFeedback } from '../feedback.js';
+import { initFeedback, listFeedback } from '../feedback.js';
 import { LocalStorage } from '../kv.js';
+import { MarkovChain } from '../bot.js';
+import { initDidResolver } from '../identity.js';
+import { listDrafts, getDraft, reviewDraft } from '../drafts.js';
+
+// Answer a raw platform notification the way checkNotifications would.
+const handleWith = name => raw => {
+    const adapter = getPlatformAdapter(name);
+    return handleNotification(adapter, adapter.toNotification(raw));
+};
+const handleMastodonReply = handleWith('mastodon');
+const handleBlueskyReply = handleWith('bluesky');
 
 describe('generateReply (Workers AI)', () => {
     beforeAll(() => {
@@ -60,6 +85,37 @@ describe('generateReply (Workers AI)', () => {
         expect(captured.opts.messages[0].role).toBe('system');
     });
 
+    test('adds the newest upvoted replies to the system prompt as examples', async () => {
+        const kv = new LocalStorage();
+        initFeedback(kv);
+        const reply = (id, createdAt, vote) => kv.put(`feedback:reply:mastodon:${id}`, JSON.stringify({
+            id, type: 'reply', platforms: ['mastodon'], content: `@fan reply ${id}`,
+            context: `<p>post ${id}</p>`, createdAt, vote
+        }));
+        await reply('old', '2024-01-01T00:00:00.000Z', 1);
+        await reply('new', '2024-03-01T00:00:00.000Z', 1);
+        await reply('down', '2024-02-01T00:00:00.000Z', -1);
+
+        let messages;
+        const binding = { run: async (model, opts) => { messages = opts.messages; return { response: 'ok' }; } };
+        process.env.REPLY_FEW_SHOT_EXAMPLES = '1';
+        try {
+            initAI(binding);
+            await generateReply('orig', 'reply');
+            expect(messages[0].content).toContain('- To "post new": reply new');
+            expect(messages[0].content).not.toContain('reply old');
+            expect(messages[0].content).not.toContain('reply down');
+
+            process.env.REPLY_FEW_SHOT_EXAMPLES = '0';
+            initAI(binding);
+            await generateReply('orig', 'reply');
+            expect(messages[0].content).not.toContain('people liked');
+        } finally {
+            delete process.env.REPLY_FEW_SHOT_EXAMPLES;
+            initFeedback(new LocalStorage());
+        }
+    });
+
     test('strips mentions and wrapping quotes from the output', async () => {
         initAI({ run: async () => ({ response: '"@someone hello there"' }) });
         const reply = await generateReply('orig', 'reply');
@@ -161,3 +217,628 @@ describe('reply dedupe + age cutoff', () => {
         expect(await kv.get('replied:mastodon:n2')).toBe('true');
     });
 });
+
+describe('reply engines', () => {
+    const texts = [
+        'Coffee is the only reason anyone survives a Monday morning meeting',
+        'The garden looks wonderful after a long night of summer rain',
+        'Nobody expects the garden gnomes to organize a union this year'
+    ];
+    let loads;
+    let engineBefore;
+
+    beforeEach(async () => {
+        process.env.DEBUG_LEVEL = 'error';
+        engineBefore = process.env.REPLY_ENGINE;
+        const markov = new MarkovChain(1);
+        await markov.addData(texts);
+        loads = 0;
+        initMarkov(async () => {
+            loads++;
+            return { markov, options: { maxTries: 50 } };
+        });
+    });
+
+    afterEach(() => {
+        if (engineBefore === undefined) {
+            delete process.env.REPLY_ENGINE;
+        } else {
+            process.env.REPLY_ENGINE = engineBefore;
+        }
+    });
+
+    test('extractKeywords ranks the mention first and drops filler', () => {
+        expect(extractKeywords('@bot what about the garden gnomes?', '<p>Coffee rules</p>'))
+            .toEqual(['garden', 'gnomes', 'coffee', 'rules']);
+    });
+
+    test('markov engine grows the reply around a keyword from the mention', async () => {
+        process.env.REPLY_ENGINE = 'markov';
+        const reply = await composeReply('our post', 'tell me about your garden');
+        expect(reply.model).toBe('markov');
+        expect(reply.text.toLowerCase()).toContain('garden');
+        expect(reply.seed).toEqual(expect.any(Number));
+
+        // The model is loaded once, however many replies follow.
+        await composeReply('our post', 'and the coffee?');
+        expect(loads).toBe(1);
+    });
+
+    test('markov engine still replies when no keyword is in the model', async () => {
+        process.env.REPLY_ENGINE = 'markov';
+        const reply = await composeReply('our post', 'zebras xylophones');
+        expect(reply.model).toBe('markov');
+        expect(reply.text.length).toBeGreaterThan(0);
+    });
+
+    test('hybrid engine switches to Markov while the AI backs off', async () => {
+        process.env.REPLY_ENGINE = 'hybrid';
+        initAI({ run: async () => { throw new Error('capacity'); } });
+        const reply = await composeReply('our post', 'tell me about your garden');
+        expect(reply.model).toBe('markov');
+        expect(reply.text.toLowerCase()).toContain('garden');
+    });
+
+    test('ai engine credits canned lines to the fallback, not the model', async () => {
+        process.env.REPLY_ENGINE = 'ai';
+        initAI({ run: async () => { throw new Error('capacity'); } });
+        const failed = await composeReply('our post', 'tell me about your garden');
+        expect(failed.model).toBe('fallback');
+        expect(failed.text.length).toBeGreaterThan(0);
+
+        // Still backing off: no model call, still the fallback.
+        expect((await composeReply('our post', 'and the coffee?')).model).toBe('fallback');
+    });
+
+    test('the engine is recorded as the model on the feedback record', async () => {
+        process.env.REPLY_ENGINE = 'markov';
+        const debugModeBefore = process.env.DEBUG_MODE;
+        process.env.DEBUG_MODE = 'true';
+        try {
+            const kv = new LocalStorage();
+            initPostsKV(kv);
+            initFeedback(kv);
+            await kv.put('post:mastodon:p1', JSON.stringify({ content: 'our post', timestamp: Date.now() }));
+            await handleMastodonReply({
+                id: 'n3',
+                created_at: new Date().toISOString(),
+                account: { acct: 'someone' },
+                status: { id: 's3', content: 'coffee please', in_reply_to_id: 'p1' }
+            });
+            const [record] = await listFeedback({ type: 'reply' });
+            expect(record.model).toBe('markov');
+            expect(record.seed).toEqual(expect.any(Number));
+            expect(record.content.startsWith('@someone ')).toBe(true);
+        } finally {
+            if (debugModeBefore === undefined) {
+                delete process.env.DEBUG_MODE;
+            } else {
+                process.env.DEBUG_MODE = debugModeBefore;
+            }
+        }
+    });
+});
+
+describe('reply thread context', () => {
+    let server;
+    let captured;
+    const requests = [];
+    const created = [];
+    let kv;
+    const envBefore = {};
+    const envKeys = ['MASTODON_API_URL', 'MASTODON_ACCESS_TOKEN', 'BLUESKY_API_URL', 'BLUESKY_USERNAME', 'BLUESKY_PASSWORD', 'DEBUG_MODE', 'REPLY_ENGINE', 'ENABLED_PLATFORMS', 'APPROVAL_MODE', 'BLUESKY_APPVIEW_URL'];
+
+    beforeAll(async () => {
+        // Stand-in for the Mastodon context and Bluesky thread endpoints.
+        server = http.createServer(async (req, res) => {
+            const url = new URL(req.url, 'http://localhost');
+            requests.push(url);
+            let body;
+            if (url.pathname === '/xrpc/com.atproto.repo.createRecord') {
+                let raw = '';
+                for await (const chunk of req) raw += chunk;
+                created.push(JSON.parse(raw).record);
+                body = { uri: 'at://did:plc:bot/app.bsky.feed.post/new', cid: 'newcid' };
+            } else if (url.pathname === '/xrpc/com.atproto.repo.getRecord') {
+                const rkey = url.searchParams.get('rkey');
+                body = {
+                    uri: `at://${url.searchParams.get('repo')}/app.bsky.feed.post/${rkey}`,
+                    cid: `cid-${rkey}`,
+                    value: { text: `fetched ${rkey}` }
+                };
+                if (rkey === 'nested') {
+                    body.value.reply = {
+                        root: { uri: 'at://did:plc:dave/app.bsky.feed.post/top', cid: 'cid-top' },
+                        parent: { uri: 'at://did:plc:dave/app.bsky.feed.post/mid', cid: 'cid-mid' }
+                    };
+                }
+            } else if (url.pathname === '/api/v1/statuses/s9/context') {
+                body = {
+                    ancestors: [
+                        { id: 'p1', account: { id: 'bot' }, content: '<p>our original post</p>' },
+                        { id: 'u1', account: { id: 'fan' }, content: '<p>@bot first question</p>' },
+                        { id: 'r1', account: { id: 'bot' }, content: '<p>our first answer</p>' },
+                        { id: 'u2', account: { id: 'other' }, content: '<p>someone else chimes in</p>' }
+                    ],
+                    descendants: []
+                };
+            } else if (url.pathname === '/api/v1/statuses/r1') {
+                body = { id: 'r1', account: { id: 'bot' }, content: '<p>our first answer</p>' };
+            } else if (url.pathname === '/api/v1/accounts/verify_credentials') {
+                body = { id: 'bot', acct: 'bot' };
+            } else if (url.pathname === '/xrpc/app.bsky.notification.listNotifications') {
+                body = {
+                    notifications: [
+                        { uri: 'at://did:plc:fan/app.bsky.feed.post/like', reason: 'like', indexedAt: new Date().toISOString() },
+                        {
+                            uri: 'at://did:plc:fan/app.bsky.feed.post/n1',
+                            cid: 'cid-n1',
+                            reason: 'mention',
+                            author: { did: 'did:plc:fan', handle: 'fan.bsky.social' },
+                            indexedAt: new Date().toISOString(),
+                            record: { text: '@bot.bsky.social hello there' }
+                        }
+                    ]
+                };
+            } else if (url.pathname === '/xrpc/app.bsky.notification.updateSeen') {
+                body = {};
+            } else if (url.pathname === '/xrpc/com.atproto.server.createSession') {
+                body = { did: 'did:plc:bot', accessJwt: 'jwt', refreshJwt: 'refresh' };
+            } else if (url.pathname === '/xrpc/app.bsky.feed.getPostThread') {
+                body = {
+                    thread: {
+                        post: { uri: url.searchParams.get('uri'), author: { did: 'did:plc:alice' }, record: { text: 'the mention' } },
+                        parent: {
+                            post: { author: { did: 'did:plc:bot' }, record: { text: 'our reply' } },
+                            parent: {
+                                post: { author: { did: 'did:plc:alice' }, record: { text: 'alice asks' } },
+                                parent: { $type: 'app.bsky.feed.defs#notFoundPost', notFound: true }
+                            }
+                        }
+                    }
+                };
+            }
+            res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body || { error: 'NotFound' }));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        // The backoff test above leaves Workers AI backing off (at most an hour);
+        // run these two hours later so the AI is called again.
+        const realNow = Date.now.bind(Date);
+        jest.spyOn(Date, 'now').mockImplementation(() => realNow() + 2 * 60 * 60 * 1000);
+        envKeys.forEach(key => { envBefore[key] = process.env[key]; });
+        const url = `http://127.0.0.1:${server.address().port}`;
+        Object.assign(process.env, {
+            MASTODON_API_URL: url,
+            BLUESKY_API_URL: url,
+            BLUESKY_APPVIEW_URL: url,
+            BLUESKY_USERNAME: 'bot.bsky.social',
+            BLUESKY_PASSWORD: 'password',
+            DEBUG_MODE: 'true',
+            REPLY_ENGINE: 'ai',
+            DEBUG_LEVEL: 'error'
+        });
+        // Every repo is hosted on the mock server.
+        initDidResolver(async did => ({
+            id: did,
+            service: [{ id: '#atproto_pds', type: 'AtprotoPersonalDataServer', serviceEndpoint: url }]
+        }));
+    });
+
+    afterAll(async () => {
+        jest.restoreAllMocks();
+        initDidResolver();
+        envKeys.forEach(key => {
+            if (envBefore[key] === undefined) {
+                delete process.env[key];
+            } else {
+                process.env[key] = envBefore[key];
+            }
+        });
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(async () => {
+        kv = new LocalStorage();
+        initPostsKV(kv);
+        initFeedback(kv);
+        captured = null;
+        initAI({
+            run: async (model, opts) => {
+                captured = opts.messages;
+                return { response: 'a quip' };
+            }
+        });
+        delete process.env.REPLY_CONTEXT_MAX_TURNS;
+        delete process.env.REPLY_CONTEXT_MAX_CHARS;
+    });
+
+    test('boundHistory keeps the newest turns within both limits and merges same-side turns', () => {
+        const turns = [
+            { role: 'assistant', content: 'one' },
+            { role: 'user', content: 'two' },
+            { role: 'user', content: '<p>three</p>' },
+            { role: 'assistant', content: 'four' }
+        ];
+        expect(boundHistory(turns, { maxTurns: 3, maxChars: 100 })).toEqual([
+            { role: 'user', content: 'two\nthree' },
+            { role: 'assistant', content: 'four' }
+        ]);
+        expect(boundHistory(turns, { maxTurns: 10, maxChars: 9 })).toEqual([
+            { role: 'user', content: 'three' },
+            { role: 'assistant', content: 'four' }
+        ]);
+    });
+
+    test('generateReply sends the history as alternating messages', async () => {
+        const history = [{ role: 'assistant', content: 'our post' }, { role: 'user', content: 'a question' }];
+        await generateReply('our post', 'and another thing', { history });
+        expect(captured.slice(1)).toEqual([
+            { role: 'assistant', content: 'our post' },
+            { role: 'user', content: 'a question\nand another thing' }
+        ]);
+    });
+
+    test('Mastodon replies walk the status context', async () => {
+        // p1 and r1 are the bot's own posts.
+        await kv.put('post:mastodon:p1', JSON.stringify({ content: 'our original post', timestamp: Date.now() }));
+        await kv.put('post:mastodon:r1', JSON.stringify({ content: 'our first answer', timestamp: Date.now() }));
+        await handleMastodonReply({
+            id: 'n9',
+            created_at: new Date().toISOString(),
+            account: { acct: 'someone' },
+            status: { id: 's9', content: '<p>follow-up question</p>', in_reply_to_id: 'r1' }
+        });
+        expect(captured.slice(1)).toEqual([
+            { role: 'assistant', content: 'our original post' },
+            { role: 'user', content: 'first question' },
+            { role: 'assistant', content: 'our first answer' },
+            { role: 'user', content: 'someone else chimes in\nfollow-up question' }
+        ]);
+    });
+
+    test('Mastodon thread turns are the bot\'s by author, even past the posts cache', async () => {
+        // Nothing in the `post:` cache: the thread is older than a day.
+        await handleMastodonReply({
+            id: 'n9-old',
+            created_at: new Date().toISOString(),
+            account: { acct: 'someone' },
+            status: { id: 's9', content: '<p>follow-up question</p>', in_reply_to_id: 'r1' }
+        });
+        expect(captured.slice(1)).toEqual([
+            { role: 'assistant', content: 'our original post' },
+            { role: 'user', content: 'first question' },
+            { role: 'assistant', content: 'our first answer' },
+            { role: 'user', content: 'someone else chimes in\nfollow-up question' }
+        ]);
+    });
+
+    test('REPLY_CONTEXT_MAX_TURNS bounds the history and 0 turns it off', async () => {
+        await kv.put('post:mastodon:r1', JSON.stringify({ content: 'our first answer', timestamp: Date.now() }));
+        const notification = id => ({
+            id,
+            created_at: new Date().toISOString(),
+            account: { acct: 'someone' },
+            status: { id: 's9', content: '<p>follow-up question</p>', in_reply_to_id: 'r1' }
+        });
+
+        process.env.REPLY_CONTEXT_MAX_TURNS = '2';
+        await handleMastodonReply(notification('n10'));
+        expect(captured.slice(1)).toEqual([
+            { role: 'assistant', content: 'our first answer' },
+            { role: 'user', content: 'someone else chimes in\nfollow-up question' }
+        ]);
+
+        process.env.REPLY_CONTEXT_MAX_TURNS = '0';
+        await handleMastodonReply(notification('n11'));
+        expect(captured.slice(1)).toEqual([
+            { role: 'user', content: 'Original post: "our first answer"\nReply to it: "follow-up question"' }
+        ]);
+    });
+
+    test('Bluesky replies walk the parent chain of getPostThread', async () => {
+        const ours = 'at://did:plc:bot/app.bsky.feed.post/1';
+        await kv.put(`post:bluesky:${ours}`, JSON.stringify({ content: 'our reply', timestamp: Date.now() }));
+        await handleBlueskyReply({
+            uri: 'at://did:plc:alice/app.bsky.feed.post/2',
+            cid: 'cid2',
+            reason: 'reply',
+            reasonSubject: ours,
+            indexedAt: new Date().toISOString(),
+            record: { text: 'the mention' }
+        });
+        expect(captured.slice(1)).toEqual([
+            { role: 'user', content: 'alice asks' },
+            { role: 'assistant', content: 'our reply' },
+            { role: 'user', content: 'the mention' }
+        ]);
+    });
+
+    test('checkNotifications answers each configured platform independently', async () => {
+        process.env.MASTODON_ACCESS_TOKEN = 'token';
+        requests.length = 0;
+        // The mock has no Mastodon notifications endpoint, so that platform
+        // fails; Bluesky is still checked and marked seen.
+        await checkNotifications();
+        const paths = requests.map(url => url.pathname);
+        expect(paths).toContain('/api/v1/notifications');
+        expect(paths).toContain('/xrpc/app.bsky.notification.updateSeen');
+        expect(await kv.get('replied:bluesky:at://did:plc:fan/app.bsky.feed.post/n1')).toBe('true');
+        expect(await kv.get('replied:bluesky:at://did:plc:fan/app.bsky.feed.post/like')).toBeUndefined();
+    });
+
+    test('approval mode queues replies as drafts until they are approved', async () => {
+        const uri = 'at://did:plc:fan/app.bsky.feed.post/n1';
+        process.env.APPROVAL_MODE = 'true';
+        process.env.DEBUG_MODE = 'false';
+        const sent = created.length;
+        try {
+            await handleBlueskyReply({
+                uri,
+                cid: 'cid-n1',
+                reason: 'mention',
+                author: { did: 'did:plc:fan', handle: 'fan.bsky.social' },
+                indexedAt: new Date().toISOString(),
+                record: { text: '@bot.bsky.social hello there' }
+            });
+            expect(created.length).toBe(sent);
+            const [draft] = await listDrafts();
+            expect(draft).toMatchObject({
+                type: 'reply',
+                status: 'pending',
+                platform: 'bluesky',
+                content: '@fan.bsky.social a quip',
+                details: { context: '@bot.bsky.social hello there' }
+            });
+            // Handled: the next check doesn't draft it again.
+            expect(await kv.get(`replied:bluesky:${uri}`)).toBe('true');
+            // The draft counts toward the author's hourly replies, once.
+            const authorReplies = async () => JSON.parse(await kv.get('replylimit:bluesky:did:plc:fan')).length;
+            expect(await authorReplies()).toBe(1);
+
+            await reviewDraft(draft.id, { action: 'approve', content: '@fan.bsky.social an edited quip' });
+            expect(await publishReplyDraft(await getDraft(draft.id))).toBe(true);
+            expect(created.length).toBe(sent + 1);
+            expect(created[sent]).toMatchObject({
+                text: '@fan.bsky.social an edited quip',
+                reply: { parent: { uri, cid: 'cid-n1' } }
+            });
+            const [record] = await listFeedback({ type: 'reply' });
+            expect(record).toMatchObject({ content: '@fan.bsky.social an edited quip', context: '@bot.bsky.social hello there' });
+            expect(await authorReplies()).toBe(1);
+        } finally {
+            process.env.DEBUG_MODE = 'true';
+            delete process.env.APPROVAL_MODE;
+        }
+    });
+
+    test('checkNotifications leaves disabled platforms alone', async () => {
+        process.env.MASTODON_ACCESS_TOKEN = 'token';
+        process.env.ENABLED_PLATFORMS = 'mastodon';
+        requests.length = 0;
+        await checkNotifications();
+        const paths = requests.map(url => url.pathname);
+        expect(paths).toContain('/api/v1/notifications');
+        expect(paths.some(path => path.startsWith('/xrpc/'))).toBe(false);
+    });
+
+    describe('loop and flood protection', () => {
+        const mention = (id, account = { acct: 'someone' }) => ({
+            id,
+            created_at: new Date().toISOString(),
+            account,
+            status: { id: 's9', content: '<p>follow-up question</p>', in_reply_to_id: 'r1' }
+        });
+
+        beforeEach(async () => {
+            delete process.env.REPLY_MAX_THREAD_DEPTH;
+            delete process.env.REPLY_MAX_PER_AUTHOR_PER_HOUR;
+            await kv.put('post:mastodon:r1', JSON.stringify({ content: 'our first answer', timestamp: Date.now() }));
+        });
+
+        test('mentions from Mastodon bot accounts are skipped and marked', async () => {
+            await handleMastodonReply(mention('b1', { acct: 'otherbot', bot: true }));
+            expect(captured).toBeNull();
+            expect(await kv.get('replied:mastodon:b1')).toBe('true');
+        });
+
+        test('threads deeper than REPLY_MAX_THREAD_DEPTH are skipped and marked', async () => {
+            process.env.REPLY_MAX_THREAD_DEPTH = '3'; // the mock context has 4 ancestors
+            await handleMastodonReply(mention('d1'));
+            expect(captured).toBeNull();
+            expect(await kv.get('replied:mastodon:d1')).toBe('true');
+
+            process.env.REPLY_MAX_THREAD_DEPTH = '4';
+            await handleMastodonReply(mention('d2'));
+            expect(captured).not.toBeNull();
+        });
+
+        test('Bluesky threads are measured along the parent chain', async () => {
+            process.env.REPLY_MAX_THREAD_DEPTH = '2'; // the mock thread has 3 parents
+            const ours = 'at://did:plc:bot/app.bsky.feed.post/1';
+            await kv.put(`post:bluesky:${ours}`, JSON.stringify({ content: 'our reply', timestamp: Date.now() }));
+            const uri = 'at://did:plc:alice/app.bsky.feed.post/3';
+            await handleBlueskyReply({
+                uri,
+                cid: 'cid3',
+                reason: 'reply',
+                reasonSubject: ours,
+                author: { did: 'did:plc:alice' },
+                indexedAt: new Date().toISOString(),
+                record: { text: 'the mention' }
+            });
+            expect(captured).toBeNull();
+            expect(await kv.get(`replied:bluesky:${uri}`)).toBe('true');
+        });
+
+        test('an author over the hourly limit is skipped and marked', async () => {
+            process.env.REPLY_MAX_PER_AUTHOR_PER_HOUR = '2';
+            await recordAuthorReply('mastodon', 'someone');
+            expect(await isAuthorRateLimited('mastodon', 'someone')).toBe(false);
+            await recordAuthorReply('mastodon', 'someone');
+            expect(await isAuthorRateLimited('mastodon', 'someone')).toBe(true);
+            expect(await isAuthorRateLimited('mastodon', 'someone-else')).toBe(false);
+
+            await handleMastodonReply(mention('f1'));
+            expect(captured).toBeNull();
+            expect(await kv.get('replied:mastodon:f1')).toBe('true');
+        });
+
+        test('replies older than an hour no longer count', async () => {
+            process.env.REPLY_MAX_PER_AUTHOR_PER_HOUR = '1';
+            const twoHoursAgo = Date.now() - 2 * 60 * 60 * 1000;
+            await kv.put('replylimit:mastodon:someone', JSON.stringify([twoHoursAgo]));
+            expect(await isAuthorRateLimited('mastodon', 'someone')).toBe(false);
+        });
+    });
+
+    describe('Bluesky mentions and quotes', () => {
+        const mentionUri = 'at://did:plc:carol/app.bsky.feed.post/m1';
+
+        beforeEach(() => {
+            process.env.DEBUG_MODE = 'false';
+            requests.length = 0;
+            created.length = 0;
+        });
+
+        afterEach(() => {
+            process.env.DEBUG_MODE = 'true';
+        });
+
+        test('a fresh mention is answered as the root of a new thread', async () => {
+            await handleBlueskyReply({
+                uri: mentionUri,
+                cid: 'cid-m1',
+                reason: 'mention',
+                author: { did: 'did:plc:carol' },
+                indexedAt: new Date().toISOString(),
+                record: { text: '@bot.bsky.social what do you think?' }
+            });
+            expect(created).toHaveLength(1);
+            expect(created[0].reply).toEqual({
+                root: { uri: mentionUri, cid: 'cid-m1' },
+                parent: { uri: mentionUri, cid: 'cid-m1' }
+            });
+            expect(await kv.get(`replied:bluesky:${mentionUri}`)).toBe('true');
+        });
+
+        test('a mention inside a thread keeps the thread root and fetches its parent', async () => {
+            process.env.REPLY_CONTEXT_MAX_TURNS = '0';
+            await handleBlueskyReply({
+                uri: 'at://did:plc:carol/app.bsky.feed.post/m2',
+                cid: 'cid-m2',
+                reason: 'mention',
+                author: { did: 'did:plc:carol' },
+                indexedAt: new Date().toISOString(),
+                record: {
+                    text: '@bot.bsky.social thoughts?',
+                    reply: {
+                        root: { uri: 'at://did:plc:dave/app.bsky.feed.post/root', cid: 'cid-root' },
+                        parent: { uri: 'at://did:plc:dave/app.bsky.feed.post/p2', cid: 'cid-p2' }
+                    }
+                }
+            });
+            expect(created[0].reply).toEqual({
+                root: { uri: 'at://did:plc:dave/app.bsky.feed.post/root', cid: 'cid-root' },
+                parent: { uri: 'at://did:plc:carol/app.bsky.feed.post/m2', cid: 'cid-m2' }
+            });
+            expect(captured[1].content).toBe('Original post: "fetched p2"\nReply to it: "thoughts?"');
+        });
+
+        test('a quote of our uncached post fetches it for context', async () => {
+            process.env.REPLY_CONTEXT_MAX_TURNS = '0';
+            const quoteUri = 'at://did:plc:carol/app.bsky.feed.post/q1';
+            await handleBlueskyReply({
+                uri: quoteUri,
+                cid: 'cid-q1',
+                reason: 'quote',
+                reasonSubject: 'at://did:plc:bot/app.bsky.feed.post/old',
+                author: { did: 'did:plc:carol' },
+                indexedAt: new Date().toISOString(),
+                record: { text: 'look at this' }
+            });
+            const fetched = requests.find(url => url.pathname === '/xrpc/com.atproto.repo.getRecord');
+            expect(fetched.searchParams.get('rkey')).toBe('old');
+            expect(captured[1].content).toBe('Original post: "fetched old"\nReply to it: "look at this"');
+            expect(created[0].reply).toEqual({
+                root: { uri: quoteUri, cid: 'cid-q1' },
+                parent: { uri: quoteUri, cid: 'cid-q1' }
+            });
+        });
+
+        test('a reply whose subject is not our post is ignored', async () => {
+            await handleBlueskyReply({
+                uri: 'at://did:plc:carol/app.bsky.feed.post/x1',
+                cid: 'cid-x1',
+                reason: 'reply',
+                reasonSubject: 'at://did:plc:dave/app.bsky.feed.post/theirs',
+                author: { did: 'did:plc:carol' },
+                indexedAt: new Date().toISOString(),
+                record: { text: 'not for you' }
+            });
+            expect(created).toHaveLength(0);
+            expect(captured).toBeNull();
+        });
+    });
+
+    describe('Bluesky reply refs', () => {
+        const ours = 'at://did:plc:bot/app.bsky.feed.post/1';
+        const replyTo = (record) => ({ uri: 'at://did:plc:carol/app.bsky.feed.post/r9', cid: 'cid-r9', record });
+
+        test('a reply under our post in someone else\'s thread keeps that thread\'s root', async () => {
+            // The old code paired reasonSubject (our post) with the root's cid.
+            process.env.DEBUG_MODE = 'false';
+            process.env.REPLY_CONTEXT_MAX_TURNS = '0';
+            created.length = 0;
+            await kv.put(`post:bluesky:${ours}`, JSON.stringify({ content: 'our reply', timestamp: Date.now() }));
+            try {
+                await handleBlueskyReply({
+                    ...replyTo({
+                        text: 'a reply to the bot',
+                        reply: {
+                            root: { uri: 'at://did:plc:dave/app.bsky.feed.post/top', cid: 'cid-top' },
+                            parent: { uri: ours, cid: 'cid-ours' }
+                        }
+                    }),
+                    reason: 'reply',
+                    reasonSubject: ours,
+                    author: { did: 'did:plc:carol' },
+                    indexedAt: new Date().toISOString()
+                });
+            } finally {
+                process.env.DEBUG_MODE = 'true';
+            }
+            expect(created[0].reply).toEqual({
+                root: { uri: 'at://did:plc:dave/app.bsky.feed.post/top', cid: 'cid-top' },
+                parent: { uri: 'at://did:plc:carol/app.bsky.feed.post/r9', cid: 'cid-r9' }
+            });
+        });
+
+        test('an incomplete root is resolved from the parent\'s record', async () => {
+            const refs = await resolveBlueskyReplyRefs(replyTo({
+                text: 'hi',
+                reply: {
+                    root: { uri: 'at://did:plc:dave/app.bsky.feed.post/top' },
+                    parent: { uri: 'at://did:plc:dave/app.bsky.feed.post/nested', cid: 'cid-nested' }
+                }
+            }));
+            expect(refs.root).toEqual({ uri: 'at://did:plc:dave/app.bsky.feed.post/top', cid: 'cid-top' });
+        });
+
+        test('a parent that starts the thread is the root', async () => {
+            const refs = await resolveBlueskyReplyRefs(replyTo({
+                text: 'hi',
+                reply: { parent: { uri: 'at://did:plc:dave/app.bsky.feed.post/start', cid: 'cid-start' } }
+            }));
+            expect(refs).toEqual({
+                root: { uri: 'at://did:plc:dave/app.bsky.feed.post/start', cid: 'cid-start' },
+                parent: { uri: 'at://did:plc:carol/app.bsky.feed.post/r9', cid: 'cid-r9' }
+            });
+        });
+
+        test('a post that replies to nothing is its own root', async () => {
+            const refs = await resolveBlueskyReplyRefs(replyTo({ text: 'hi' }));
+            expect(refs.root).toEqual({ uri: 'at://did:plc:carol/app.bsky.feed.post/r9', cid: 'cid-r9' });
+        });
+    });
+});
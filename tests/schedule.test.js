@@ -0,0 +1,178 @@
+import { describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import {
+    schedulerEnabled,
+    parseWindows,
+    inActiveWindow,
+    planSlots,
+    loadScheduleState,
+    checkSchedule,
+    useSlot,
+    recordPostTime
+} from '../schedule.js';
+import { initPostsKV, getPostsKV } from '../posts.js';
+import { LocalStorage } from '../kv.js';
+
+const HOUR = 60 * 60 * 1000;
+const at = iso => Date.parse(iso);
+
+describe('schedule', () => {
+    let envBackup;
+
+    beforeAll(() => {
+        // Silence info/warn logging during tests.
+        process.env.DEBUG_LEVEL = 'error';
+    });
+
+    beforeEach(() => {
+        envBackup = { ...process.env };
+        ['POST_WINDOWS', 'POST_TIMEZONE', 'POST_MIN_GAP_MINUTES', 'POST_MAX_PER_DAY'].forEach(key => delete process.env[key]);
+        initPostsKV(new LocalStorage());
+    });
+
+    afterEach(() => {
+        process.env = { ...envBackup };
+    });
+
+    test('is off until one of its settings is set', () => {
+        expect(schedulerEnabled()).toBe(false);
+        process.env.POST_MAX_PER_DAY = '3';
+        expect(schedulerEnabled()).toBe(true);
+    });
+
+    test('parses windows with per-window timezones and skips bad ones', () => {
+        expect(parseWindows('09:00-12:00, 22:00-02:00 Asia/Tokyo, 25:00-26:00, 10:00-11:00 Mars/Olympus', 'Europe/Berlin'))
+            .toEqual([
+                { start: 9 * 60, end: 12 * 60, timeZone: 'Europe/Berlin' },
+                { start: 22 * 60, end: 2 * 60, timeZone: 'Asia/Tokyo' }
+            ]);
+        // Nothing usable means all day.
+        expect(parseWindows('', 'UTC')).toEqual([{ start: 0, end: 24 * 60, timeZone: 'UTC' }]);
+    });
+
+    test('windows are checked in their own timezone, across midnight', () => {
+        const windows = parseWindows('09:00-12:00 America/New_York,23:00-01:00 UTC', 'UTC');
+        // 14:30 UTC is 10:30 in New York (EDT).
+        expect(inActiveWindow(at('2024-06-03T14:30:00Z'), windows)).toBe(true);
+        expect(inActiveWindow(at('2024-06-03T10:30:00Z'), windows)).toBe(false);
+        expect(inActiveWindow(at('2024-06-03T23:30:00Z'), windows)).toBe(true);
+        expect(inActiveWindow(at('2024-06-04T00:30:00Z'), windows)).toBe(true);
+        expect(inActiveWindow(at('2024-06-04T01:00:00Z'), windows)).toBe(false);
+    });
+
+    test('plans slots inside the windows, a minimum gap apart', () => {
+        const config = { windows: parseWindows('08:00-12:00', 'UTC'), minGapMs: HOUR, maxPerDay: 10 };
+        const slots = planSlots(at('2024-06-03T00:00:00Z'), config);
+        // Four hours of window fit at most four slots an hour apart.
+        expect(slots.length).toBeGreaterThan(0);
+        expect(slots.length).toBeLessThanOrEqual(4);
+        slots.forEach((slot, i) => {
+            expect(inActiveWindow(slot, config.windows)).toBe(true);
+            if (i > 0) {
+                expect(slot - slots[i - 1]).toBeGreaterThanOrEqual(HOUR);
+            }
+        });
+
+        const capped = planSlots(at('2024-06-03T00:00:00Z'), { ...config, maxPerDay: 2 });
+        expect(capped).toHaveLength(2);
+    });
+
+    test('a tick posts only when a slot is due, inside a window', async () => {
+        Object.assign(process.env, { POST_WINDOWS: '08:00-12:00', POST_MAX_PER_DAY: '1', POST_MIN_GAP_MINUTES: '0' });
+        // Always pick the earliest free minute: 08:00.
+        const random = () => 0;
+
+        const early = await checkSchedule(at('2024-06-03T06:00:00Z'), { random });
+        expect(early).toEqual({ post: false, reason: 'outside active hours', next: at('2024-06-03T08:00:00Z') });
+
+        // 07:00 is outside the window, even though 08:00 comes before the next tick.
+        expect((await checkSchedule(at('2024-06-03T07:00:00Z'))).post).toBe(false);
+
+        const due = await checkSchedule(at('2024-06-03T08:00:00Z'));
+        expect(due).toMatchObject({ post: true, slot: at('2024-06-03T08:00:00Z') });
+        await useSlot(due.slot, { postedAt: at('2024-06-03T08:00:00Z') });
+        expect(await loadScheduleState()).toMatchObject({ queue: [], posted: [at('2024-06-03T08:00:00Z')] });
+
+        expect(await checkSchedule(at('2024-06-03T09:00:00Z'))).toMatchObject({ post: false, reason: 'no slot due' });
+    });
+
+    test('a tick takes a slot falling before the next tick', async () => {
+        Object.assign(process.env, { POST_WINDOWS: '08:00-12:00', POST_MAX_PER_DAY: '1' });
+        // The last free minute, 11:59: a 2-hourly cron's next tick is 12:00.
+        const random = () => 0.9999;
+
+        expect((await checkSchedule(at('2024-06-03T08:00:00Z'), { random })).post).toBe(false);
+        expect((await checkSchedule(at('2024-06-03T10:00:00Z'))).post).toBe(true);
+    });
+
+    test('a slot nothing was posted in stays due for the next tick', async () => {
+        Object.assign(process.env, { POST_MAX_PER_DAY: '1', POST_MIN_GAP_MINUTES: '0' });
+        await getPostsKV().put('schedule:state', JSON.stringify({
+            queue: [at('2024-06-03T10:00:00Z')],
+            planEnd: at('2024-06-04T00:00:00Z'),
+            posted: []
+        }));
+
+        // The run drew only near-duplicates and posted nothing.
+        expect(await checkSchedule(at('2024-06-03T10:00:00Z'))).toMatchObject({ post: true, slot: at('2024-06-03T10:00:00Z') });
+        const retry = await checkSchedule(at('2024-06-03T11:00:00Z'));
+        expect(retry).toMatchObject({ post: true, slot: at('2024-06-03T10:00:00Z') });
+
+        // A debug post uses the slot up without counting.
+        await useSlot(retry.slot);
+        expect(await loadScheduleState()).toMatchObject({ queue: [], posted: [] });
+    });
+
+    test('a check that is not a tick keeps the learned tick gap', async () => {
+        Object.assign(process.env, { POST_WINDOWS: '08:00-12:00', POST_MAX_PER_DAY: '1' });
+        const random = () => 0.9999;
+        await checkSchedule(at('2024-06-03T08:00:00Z'), { random });
+        await checkSchedule(at('2024-06-03T10:00:00Z'));
+
+        // Right after the 10:00 tick, the 11:59 slot still falls before the next.
+        const check = await checkSchedule(at('2024-06-03T10:01:00Z'), { tick: false });
+        expect(check).toMatchObject({ post: true, slot: at('2024-06-03T11:59:00Z') });
+        expect(await loadScheduleState()).toMatchObject({ lastTickAt: at('2024-06-03T10:00:00Z'), tickInterval: 2 * HOUR });
+    });
+
+    test('the minimum gap holds a slot back until a later tick', async () => {
+        Object.assign(process.env, { POST_MAX_PER_DAY: '2', POST_MIN_GAP_MINUTES: '180' });
+        await getPostsKV().put('schedule:state', JSON.stringify({
+            queue: [at('2024-06-03T10:00:00Z')],
+            planEnd: at('2024-06-04T00:00:00Z'),
+            lastTickAt: at('2024-06-03T09:00:00Z'),
+            posted: []
+        }));
+        await recordPostTime(at('2024-06-03T08:00:00Z'));
+
+        expect(await checkSchedule(at('2024-06-03T10:00:00Z')))
+            .toMatchObject({ post: false, reason: 'minimum gap since the last post', next: at('2024-06-03T10:00:00Z') });
+        expect((await checkSchedule(at('2024-06-03T11:00:00Z'))).post).toBe(true);
+    });
+
+    test('the daily cap counts every post in the last 24 hours', async () => {
+        Object.assign(process.env, { POST_MAX_PER_DAY: '1', POST_MIN_GAP_MINUTES: '0' });
+        await getPostsKV().put('schedule:state', JSON.stringify({
+            queue: [at('2024-06-03T10:00:00Z')],
+            planEnd: at('2024-06-04T00:00:00Z'),
+            posted: [at('2024-06-02T12:00:00Z')]
+        }));
+
+        expect(await checkSchedule(at('2024-06-03T10:00:00Z')))
+            .toMatchObject({ post: false, reason: 'daily post cap reached' });
+        // The slot is used up rather than retried.
+        expect((await loadScheduleState()).queue).toEqual([]);
+    });
+
+    test('a new plan starts when the old one runs out, dropping missed slots', async () => {
+        Object.assign(process.env, { POST_WINDOWS: '08:00-12:00', POST_MAX_PER_DAY: '1' });
+        await getPostsKV().put('schedule:state', JSON.stringify({
+            queue: [at('2024-06-02T09:00:00Z')],
+            planEnd: at('2024-06-03T00:00:00Z'),
+            posted: []
+        }));
+
+        const result = await checkSchedule(at('2024-06-03T02:00:00Z'), { random: () => 0 });
+        expect(result.next).toBe(at('2024-06-03T08:00:00Z'));
+        expect((await loadScheduleState()).planEnd).toBe(at('2024-06-04T02:00:00Z'));
+    });
+});
@@ -0,0 +1,447 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
+import http from 'http';
+import {
+    getBlueskyAuth,
+    listBlueskyNotifications,
+    getBlueskyRecord,
+    enabledPlatforms,
+    enabledPlatformNames,
+    missingCredentials,
+    getPlatformAdapter,
+    supportsReplies,
+    replyPlatforms
+} from '../social.js';
+import { initPostsKV } from '../posts.js';
+import { initDidResolver } from '../identity.js';
+import { LocalStorage } from '../kv.js';
+import { initFeedback, listFeedback } from '../feedback.js';
+import { postToSocialMedia } from '../bot.js';
+
+// An unsigned JWT whose `exp` is `offsetSeconds` from now; enough for the
+// client, which only reads the expiry.
+function jwt(name, offsetSeconds) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const exp = Math.floor(Date.now() / 1000) + offsetSeconds;
+    return `${encode({ alg: 'none' })}.${encode({ sub: name, exp })}.sig`;
+}
+
+function isExpired(token) {
+    try {
+        const { exp } = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString());
+        return exp * 1000 < Date.now();
+    } catch (error) {
+        return false;
+    }
+}
+
+describe('Bluesky sessions', () => {
+    let server;
+    let kv;
+    let calls;
+    let refreshOk;
+    let rejectAll;
+
+    beforeAll(async () => {
+        process.env.DEBUG_LEVEL = 'error';
+        process.env.BLUESKY_PASSWORD = 'password';
+        server = http.createServer((req, res) => {
+            const url = new URL(req.url, 'http://localhost');
+            const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+            calls.push({ path: url.pathname, token });
+            let status = 200;
+            let body = {};
+            if (url.pathname === '/xrpc/com.atproto.server.createSession') {
+                body = { did: 'did:plc:bot', accessJwt: jwt('created', 3600), refreshJwt: 'refresh-created' };
+            } else if (url.pathname === '/xrpc/com.atproto.server.refreshSession') {
+                if (refreshOk) {
+                    body = { did: 'did:plc:bot', accessJwt: jwt('refreshed', 3600), refreshJwt: 'refresh-refreshed' };
+                } else {
+                    status = 400;
+                    body = { error: 'ExpiredToken', message: 'Token has expired' };
+                }
+            } else if (rejectAll || isExpired(token)) {
+                status = 400;
+                body = { error: 'ExpiredToken', message: 'Token has expired' };
+            } else {
+                body = { notifications: [] };
+            }
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        process.env.BLUESKY_API_URL = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        kv = new LocalStorage();
+        initPostsKV(kv);
+        calls = [];
+        refreshOk = true;
+        rejectAll = false;
+    });
+
+    const paths = () => calls.map(call => call.path.replace('/xrpc/', ''));
+
+    test('logs in once and persists the session in POSTS_KV', async () => {
+        process.env.BLUESKY_USERNAME = 'first.bsky.social';
+        const auth = await getBlueskyAuth();
+        expect(await getBlueskyAuth()).toBe(auth);
+        expect(paths()).toEqual(['com.atproto.server.createSession']);
+
+        const stored = JSON.parse(await kv.get('bluesky:session:first.bsky.social'));
+        expect(stored).toEqual({ did: 'did:plc:bot', accessJwt: auth.accessJwt, refreshJwt: 'refresh-created' });
+    });
+
+    test('reuses a stored session instead of logging in again', async () => {
+        const accessJwt = jwt('stored', 3600);
+        await kv.put('bluesky:session:second.bsky.social',
+            JSON.stringify({ did: 'did:plc:bot', accessJwt, refreshJwt: 'refresh-stored' }));
+        process.env.BLUESKY_USERNAME = 'second.bsky.social';
+        const puts = [];
+        const put = kv.put.bind(kv);
+        kv.put = (key, value) => { puts.push(key); return put(key, value); };
+
+        const auth = await getBlueskyAuth();
+        expect(auth.accessJwt).toBe(accessJwt);
+        expect(calls).toEqual([]);
+        // Unchanged, so it isn't written back.
+        expect(puts).toEqual([]);
+    });
+
+    test('refreshes an expired stored session rather than logging in', async () => {
+        await kv.put('bluesky:session:third.bsky.social',
+            JSON.stringify({ did: 'did:plc:bot', accessJwt: jwt('stale', -60), refreshJwt: 'refresh-stale' }));
+        process.env.BLUESKY_USERNAME = 'third.bsky.social';
+
+        const auth = await getBlueskyAuth();
+        expect(paths()).toEqual(['com.atproto.server.refreshSession']);
+        expect(calls[0].token).toBe('refresh-stale');
+        expect(auth.refreshJwt).toBe('refresh-refreshed');
+        const stored = JSON.parse(await kv.get('bluesky:session:third.bsky.social'));
+        expect(stored.refreshJwt).toBe('refresh-refreshed');
+    });
+
+    test('logs in again when the refresh token is rejected', async () => {
+        refreshOk = false;
+        await kv.put('bluesky:session:fourth.bsky.social',
+            JSON.stringify({ did: 'did:plc:bot', accessJwt: jwt('stale', -60), refreshJwt: 'refresh-stale' }));
+        process.env.BLUESKY_USERNAME = 'fourth.bsky.social';
+
+        const auth = await getBlueskyAuth();
+        expect(paths()).toEqual(['com.atproto.server.refreshSession', 'com.atproto.server.createSession']);
+        expect(auth.refreshJwt).toBe('refresh-created');
+    });
+
+    test('refreshes once and retries a call that fails with ExpiredToken', async () => {
+        process.env.BLUESKY_USERNAME = 'fifth.bsky.social';
+        const auth = { did: 'did:plc:bot', accessJwt: jwt('revoked', -60), refreshJwt: 'refresh-held' };
+
+        const response = await listBlueskyNotifications(auth);
+        expect(response.ok).toBe(true);
+        expect(paths()).toEqual([
+            'app.bsky.notification.listNotifications',
+            'com.atproto.server.refreshSession',
+            'app.bsky.notification.listNotifications'
+        ]);
+        // The caller's session object now holds the new tokens.
+        expect(auth.refreshJwt).toBe('refresh-refreshed');
+        expect(calls[2].token).toBe(auth.accessJwt);
+    });
+
+    test('retries only once', async () => {
+        process.env.BLUESKY_USERNAME = 'sixth.bsky.social';
+        rejectAll = true;
+        const auth = { did: 'did:plc:bot', accessJwt: jwt('revoked', -60), refreshJwt: 'refresh-held' };
+
+        const response = await listBlueskyNotifications(auth);
+        expect(response.status).toBe(400);
+        expect(paths()).toEqual([
+            'app.bsky.notification.listNotifications',
+            'com.atproto.server.refreshSession',
+            'app.bsky.notification.listNotifications'
+        ]);
+    });
+});
+
+describe('Bluesky PDS discovery', () => {
+    let server;
+    let url;
+    let calls;
+    const didDoc = (did, endpoint) => ({
+        id: did,
+        service: [{ id: '#atproto_pds', type: 'AtprotoPersonalDataServer', serviceEndpoint: endpoint }]
+    });
+
+    // One server plays every host; each is told apart by a path prefix.
+    beforeAll(async () => {
+        process.env.DEBUG_LEVEL = 'error';
+        process.env.BLUESKY_PASSWORD = 'password';
+        server = http.createServer((req, res) => {
+            const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+            calls.push(pathname);
+            let body = {};
+            if (pathname === '/entryway/xrpc/com.atproto.server.createSession') {
+                body = {
+                    did: 'did:plc:bot',
+                    accessJwt: jwt('created', 3600),
+                    refreshJwt: 'refresh',
+                    didDoc: didDoc('did:plc:bot', `${url}/bot-pds/`)
+                };
+            } else if (pathname === '/plc/did:plc:carol') {
+                body = didDoc('did:plc:carol', `${url}/carol-pds`);
+            } else if (pathname === '/appview/xrpc/com.atproto.identity.resolveHandle') {
+                body = { did: `did:plc:${searchParams.get('handle').split('.')[0]}` };
+            } else if (pathname.endsWith('/xrpc/com.atproto.repo.getRecord')) {
+                body = { uri: 'at://x', cid: 'cid', value: { text: 'hello' } };
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}`;
+        process.env.BLUESKY_API_URL = `${url}/entryway`;
+        process.env.BLUESKY_APPVIEW_URL = `${url}/appview`;
+        process.env.BLUESKY_PLC_URL = `${url}/plc`;
+    });
+
+    afterAll(async () => {
+        initDidResolver();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        initPostsKV(new LocalStorage());
+        initDidResolver();
+        calls = [];
+    });
+
+    test('sends the bot\'s own calls to the PDS from the session\'s DID document', async () => {
+        process.env.BLUESKY_USERNAME = 'migrated.example.com';
+        const auth = await getBlueskyAuth();
+        expect(auth.pds).toBe(`${url}/bot-pds`);
+
+        await listBlueskyNotifications(auth);
+        expect(calls).toEqual([
+            '/entryway/xrpc/com.atproto.server.createSession',
+            '/bot-pds/xrpc/app.bsky.notification.listNotifications'
+        ]);
+    });
+
+    test('reads records from the PDS named by plc.directory', async () => {
+        const response = await getBlueskyRecord('at://did:plc:carol/app.bsky.feed.post/1');
+        expect(response.ok).toBe(true);
+        expect(calls).toEqual(['/plc/did:plc:carol', '/carol-pds/xrpc/com.atproto.repo.getRecord']);
+
+        // The resolved PDS is cached.
+        calls = [];
+        await getBlueskyRecord('at://did:plc:carol/app.bsky.feed.post/2');
+        expect(calls).toEqual(['/carol-pds/xrpc/com.atproto.repo.getRecord']);
+    });
+
+    test('resolves handles in AT URIs through the AppView first', async () => {
+        initDidResolver(async did => didDoc(did, `${url}/stub-pds`));
+        await getBlueskyRecord('at://dana.example.com/app.bsky.feed.post/1');
+        expect(calls).toEqual([
+            '/appview/xrpc/com.atproto.identity.resolveHandle',
+            '/stub-pds/xrpc/com.atproto.repo.getRecord'
+        ]);
+    });
+
+    test('falls back to the AppView when the DID can\'t be resolved', async () => {
+        // A document for a different DID is ignored.
+        initDidResolver(async () => didDoc('did:plc:someone-else', `${url}/wrong-pds`));
+        await getBlueskyRecord('at://did:plc:erin/app.bsky.feed.post/1');
+        expect(calls).toEqual(['/appview/xrpc/com.atproto.repo.getRecord']);
+    });
+});
+
+describe('platform adapters', () => {
+    let envBackup;
+
+    beforeEach(() => {
+        envBackup = { ...process.env };
+    });
+
+    afterEach(() => {
+        process.env = { ...envBackup };
+    });
+
+    test('only platforms with credentials are enabled', () => {
+        Object.assign(process.env, { MASTODON_API_URL: 'https://example.social', MASTODON_ACCESS_TOKEN: 'token' });
+        delete process.env.BLUESKY_USERNAME;
+        delete process.env.ENABLED_PLATFORMS;
+        expect(enabledPlatforms().map(adapter => adapter.name)).toEqual(['mastodon']);
+        expect(missingCredentials(getPlatformAdapter('bluesky'))).toEqual(['BLUESKY_USERNAME']);
+
+        Object.assign(process.env, { BLUESKY_USERNAME: 'bot.bsky.social', BLUESKY_PASSWORD: 'password' });
+        expect(enabledPlatforms().map(adapter => adapter.name)).toEqual(['mastodon', 'bluesky']);
+    });
+
+    test('ENABLED_PLATFORMS picks among the platforms with credentials', () => {
+        Object.assign(process.env, {
+            MASTODON_API_URL: 'https://example.social',
+            MASTODON_ACCESS_TOKEN: 'token',
+            BLUESKY_USERNAME: 'bot.bsky.social',
+            BLUESKY_PASSWORD: 'password'
+        });
+
+        process.env.ENABLED_PLATFORMS = 'BLUESKY';
+        expect(enabledPlatforms().map(adapter => adapter.name)).toEqual(['bluesky']);
+
+        process.env.ENABLED_PLATFORMS = 'bluesky, mastodon, myspace';
+        expect(enabledPlatformNames()).toEqual(['bluesky', 'mastodon', 'myspace']);
+        expect(enabledPlatforms().map(adapter => adapter.name)).toEqual(['mastodon', 'bluesky']);
+
+        // Empty means unset: everything with credentials runs.
+        process.env.ENABLED_PLATFORMS = ' , ';
+        expect(enabledPlatformNames()).toBeNull();
+        expect(enabledPlatforms().map(adapter => adapter.name)).toEqual(['mastodon', 'bluesky']);
+    });
+
+    test('notifications are normalized to one shape', () => {
+        const mastodon = getPlatformAdapter('mastodon');
+        const bluesky = getPlatformAdapter('bluesky');
+        expect(mastodon.toNotification({
+            id: '7',
+            type: 'mention',
+            created_at: '2024-01-01T00:00:00.000Z',
+            account: { acct: 'alice@example.social', bot: false },
+            status: { id: 's7', content: '<p>@bot hi   there</p>' }
+        })).toMatchObject({
+            platform: 'mastodon',
+            id: '7',
+            reason: 'mention',
+            postId: 's7',
+            text: '@bot hi there',
+            author: { id: 'alice@example.social', handle: 'alice@example.social', bot: false }
+        });
+        expect(bluesky.toNotification({
+            uri: 'at://did:plc:alice/app.bsky.feed.post/1',
+            reason: 'reply',
+            author: { did: 'did:plc:alice', handle: 'alice.bsky.social' },
+            indexedAt: '2024-01-01T00:00:00.000Z',
+            record: { text: 'hi' }
+        })).toMatchObject({
+            platform: 'bluesky',
+            id: 'at://did:plc:alice/app.bsky.feed.post/1',
+            postId: 'at://did:plc:alice/app.bsky.feed.post/1',
+            author: { id: 'did:plc:alice', handle: 'alice.bsky.social' },
+            createdAt: '2024-01-01T00:00:00.000Z'
+        });
+    });
+});
+
+describe('Threads', () => {
+    let envBackup;
+    let server;
+    let calls;
+    let kv;
+
+    beforeAll(async () => {
+        process.env.DEBUG_LEVEL = 'error';
+        server = http.createServer(async (req, res) => {
+            const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+            let raw = '';
+            for await (const chunk of req) raw += chunk;
+            const params = Object.fromEntries(new URLSearchParams(raw));
+            calls.push({ method: req.method, pathname, params });
+            let body = { error: { message: 'Unsupported request' } };
+            let status = 200;
+            if (pathname === '/me-123/threads') {
+                body = { id: ['slow', 'broken'].includes(params.text) ? `container-${params.text}` : 'container-1' };
+            } else if (pathname === '/me-123/threads_publish') {
+                body = { id: 'media-1' };
+            } else if (pathname.startsWith('/container-') && searchParams.get('fields') === 'status,error_message') {
+                // The slow container needs a second check; the broken one fails.
+                const checks = calls.filter(call => call.pathname === pathname).length;
+                body = pathname === '/container-broken'
+                    ? { status: 'ERROR', error_message: 'bad text' }
+                    : { status: pathname === '/container-slow' && checks === 1 ? 'IN_PROGRESS' : 'FINISHED' };
+            } else {
+                status = 400;
+            }
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        envBackup = { ...process.env };
+        ['MASTODON_API_URL', 'MASTODON_ACCESS_TOKEN', 'BLUESKY_USERNAME', 'BLUESKY_PASSWORD'].forEach(key => delete process.env[key]);
+        Object.assign(process.env, {
+            THREADS_API_URL: `http://127.0.0.1:${server.address().port}`,
+            THREADS_USER_ID: 'me-123',
+            THREADS_ACCESS_TOKEN: 'threads-token',
+            DEBUG_MODE: 'false'
+        });
+        kv = new LocalStorage();
+        initPostsKV(kv);
+        initFeedback(kv);
+        calls = [];
+    });
+
+    afterEach(() => {
+        process.env = { ...envBackup };
+    });
+
+    test('is configured by its user id and token', () => {
+        expect(enabledPlatforms().map(adapter => adapter.name)).toEqual(['threads']);
+        delete process.env.THREADS_ACCESS_TOKEN;
+        expect(enabledPlatforms()).toEqual([]);
+    });
+
+    test('posts by creating a text container, then publishing it once it is ready', async () => {
+        expect(await getPlatformAdapter('threads').post('hello threads')).toEqual({ id: 'media-1' });
+        expect(calls).toEqual([
+            {
+                method: 'POST',
+                pathname: '/me-123/threads',
+                params: { media_type: 'TEXT', text: 'hello threads', access_token: 'threads-token' }
+            },
+            { method: 'GET', pathname: '/container-1', params: {} },
+            {
+                method: 'POST',
+                pathname: '/me-123/threads_publish',
+                params: { creation_id: 'container-1', access_token: 'threads-token' }
+            }
+        ]);
+    });
+
+    test('waits for a container still in progress, and never publishes a failed one', async () => {
+        expect(await getPlatformAdapter('threads').post('slow')).toEqual({ id: 'media-1' });
+        expect(calls.map(call => call.pathname)).toEqual(['/me-123/threads', '/container-slow', '/container-slow', '/me-123/threads_publish']);
+
+        calls = [];
+        await expect(getPlatformAdapter('threads').post('broken')).rejects.toThrow('is ERROR: bad text');
+        expect(calls.map(call => call.pathname)).not.toContain('/me-123/threads_publish');
+    });
+
+    test('is a posting target only: the reply loop skips it', () => {
+        expect(supportsReplies(getPlatformAdapter('threads'))).toBe(false);
+        expect(supportsReplies(getPlatformAdapter('mastodon'))).toBe(true);
+        expect(replyPlatforms()).toEqual([]);
+    });
+
+    test('postToSocialMedia stores and records Threads posts like the others', async () => {
+        expect(await postToSocialMedia('posted everywhere', { seed: 42 })).toBe(true);
+
+        expect(JSON.parse(await kv.get('post:threads:media-1')).content).toBe('posted everywhere');
+        const [record] = await listFeedback();
+        expect(record).toMatchObject({ type: 'post', platforms: ['threads'], content: 'posted everywhere', seed: 42 });
+    });
+
+    test('a failed publish is reported, not thrown', async () => {
+        process.env.THREADS_USER_ID = 'someone-else';
+        expect(await postToSocialMedia('nowhere to go')).toBe(false);
+        expect(await kv.get('post:threads:media-1')).toBeUndefined();
+    });
+});
@@ -0,0 +1,274 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import http from 'http';
+import { normalizeAccount } from '../sources.js';
+import { fetchMastodonAccountPosts, fetchBlueskyAccountPosts } from '../social.js';
+import { harvestSourcePosts, loadConfig, refreshMarkovModel } from '../bot.js';
+import { LocalStorage, getSourceTweets, getTweetCount, getSourceCursors, storeSourceTweets, getMarkovModel } from '../kv.js';
+
+// Local stand-in for the Mastodon and Bluesky APIs. Records each request URL so
+// tests can assert on the query parameters that were sent.
+function startMockServer(routes) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        requests.push(url);
+        const handler = routes[url.pathname];
+        if (!handler) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Record not found' }));
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(handler(url)));
+    });
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` });
+        });
+    });
+}
+
+// Dave's Bluesky feed: posts 1 to `daveCount`, a minute apart. Like the real
+// API, the cursor is the feed time to continue below.
+let daveCount = 0;
+const daveTime = n => new Date(Date.UTC(2024, 1, 1) + n * 60000).toISOString();
+
+function daveFeed(url) {
+    const before = url.searchParams.get('cursor');
+    const items = [];
+    for (let n = daveCount; n > 0 && items.length < 100; n--) {
+        if (!before || daveTime(n) < before) {
+            items.push({ post: { uri: `at://dave/${n}`, indexedAt: daveTime(n), record: { text: `post ${n}` } } });
+        }
+    }
+    const last = items[items.length - 1];
+    return { feed: items, ...(last && { cursor: last.post.indexedAt }) };
+}
+
+describe('source account fetching', () => {
+    let mock;
+    const auth = { did: 'did:plc:bot', accessJwt: 'jwt' };
+
+    beforeAll(async () => {
+        process.env.DEBUG_LEVEL = 'error';
+        mock = await startMockServer({
+            '/api/v1/accounts/lookup': url => ({
+                'carol@example.social': { id: '43', acct: 'carol@example.social' },
+                'erin@example.social': { id: '44', acct: 'erin@example.social' }
+            })[url.searchParams.get('acct')] || { id: '42', acct: 'alice@example.social' },
+            '/api/v1/accounts/42/statuses': url => {
+                if (url.searchParams.get('min_id') === '10') {
+                    return [];
+                }
+                return url.searchParams.get('max_id')
+                    ? [{ id: '8', content: '<p>older post</p>' }]
+                    : [
+                        { id: '10', content: '<p>newest post</p>' },
+                        { id: '9', content: '', reblog: { content: '<p>boosted post</p>' } }
+                    ];
+            },
+            // Carol posted statuses 1-100; a min_id page is the 40 right after
+            // it, newest first, as Mastodon returns them.
+            '/api/v1/accounts/43/statuses': url => {
+                const after = parseInt(url.searchParams.get('min_id'), 10);
+                const ids = [];
+                for (let id = Math.min(after + 40, 100); id > after; id--) {
+                    ids.push(id);
+                }
+                return ids.map(id => ({ id: String(id), content: `<p>post ${id}</p>` }));
+            },
+            // Erin's newest status has no text of its own.
+            '/api/v1/accounts/44/statuses': url => (url.searchParams.get('min_id') === '12'
+                ? []
+                : [{ id: '12', content: '' }, { id: '11', content: '<p>last words</p>' }]),
+            '/xrpc/app.bsky.feed.getAuthorFeed': url => {
+                if (url.searchParams.get('actor') === 'dave.bsky.social') {
+                    return daveFeed(url);
+                }
+                return url.searchParams.get('cursor')
+                    ? { feed: [{ post: { uri: 'at://b/3', indexedAt: '2024-01-01T00:00:00.000Z', record: { text: 'page two' } } }] }
+                    : {
+                        cursor: 'next',
+                        feed: [
+                            { post: { uri: 'at://b/1', indexedAt: '2024-01-03T00:00:00.000Z', record: { text: 'own post' } } },
+                            {
+                                post: { uri: 'at://c/2', indexedAt: '2023-12-01T00:00:00.000Z', record: { text: 'reposted' } },
+                                reason: { $type: 'app.bsky.feed.defs#reasonRepost', indexedAt: '2024-01-02T00:00:00.000Z' }
+                            }
+                        ]
+                    };
+            },
+            '/xrpc/com.atproto.server.createSession': () => ({ did: 'did:plc:bot', accessJwt: 'jwt', refreshJwt: 'refresh' })
+        });
+        process.env.MASTODON_API_URL = mock.url;
+        process.env.BLUESKY_API_URL = mock.url;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => mock.server.close(resolve));
+    });
+
+    test('normalizeAccount strips the leading @', () => {
+        expect(normalizeAccount(' @alice@example.social ')).toBe('alice@example.social');
+        expect(normalizeAccount('bob.bsky.social')).toBe('bob.bsky.social');
+    });
+
+    test('Mastodon: looks up the acct and pages its statuses', async () => {
+        mock.requests.length = 0;
+        const { posts, cursor } = await fetchMastodonAccountPosts('@alice@example.social', { pages: 2 });
+
+        expect(posts.map(p => p.id)).toEqual(['10', '9', '8']);
+        expect(posts[1].text).toBe('<p>boosted post</p>');
+        expect(cursor).toEqual({ since: '10' });
+
+        const [lookup, first, second] = mock.requests;
+        expect(lookup.searchParams.get('acct')).toBe('alice@example.social');
+        expect(first.searchParams.get('exclude_replies')).toBe('true');
+        expect(first.searchParams.get('exclude_reblogs')).toBe('true');
+        expect(first.searchParams.has('max_id')).toBe(false);
+        expect(second.searchParams.get('max_id')).toBe('9');
+    });
+
+    test('Mastodon: a failed lookup throws', async () => {
+        process.env.MASTODON_API_URL = `${mock.url}/missing`;
+        try {
+            await expect(fetchMastodonAccountPosts('nobody')).rejects.toThrow('lookup failed');
+        } finally {
+            process.env.MASTODON_API_URL = mock.url;
+        }
+    });
+
+    test('Bluesky: skips reposts and follows the cursor', async () => {
+        mock.requests.length = 0;
+        const { posts } = await fetchBlueskyAccountPosts(auth, '@bob.bsky.social', { pages: 2 });
+
+        expect(posts.map(p => p.text)).toEqual(['own post', 'page two']);
+        expect(mock.requests[0].searchParams.get('actor')).toBe('bob.bsky.social');
+        expect(mock.requests[0].searchParams.get('filter')).toBe('posts_no_replies');
+        expect(mock.requests[1].searchParams.get('cursor')).toBe('next');
+    });
+
+    test('Bluesky: keeps reposts and replies when not excluded', async () => {
+        mock.requests.length = 0;
+        const { posts } = await fetchBlueskyAccountPosts(auth, 'bob.bsky.social', {
+            pages: 1,
+            excludeReplies: false,
+            excludeReblogs: false
+        });
+
+        expect(posts.map(p => p.text)).toEqual(['own post', 'reposted']);
+        expect(mock.requests).toHaveLength(1);
+        expect(mock.requests[0].searchParams.get('filter')).toBe('posts_with_replies');
+    });
+
+    test('Mastodon: passes min_id and returns only newer statuses', async () => {
+        mock.requests.length = 0;
+        const { posts, cursor } = await fetchMastodonAccountPosts('alice@example.social', { cursor: { since: '10' } });
+        expect(posts).toEqual([]);
+        expect(cursor).toEqual({ since: '10' });
+        expect(mock.requests[1].searchParams.get('min_id')).toBe('10');
+        expect(mock.requests[1].searchParams.has('max_id')).toBe(false);
+    });
+
+    test('Mastodon: pages forward from since, so a long gap is fetched over several runs', async () => {
+        const first = await fetchMastodonAccountPosts('carol@example.social', { cursor: { since: '10' } });
+        expect(first.posts.map(p => p.id)).toEqual(Array.from({ length: 40 }, (_, i) => String(50 - i)));
+        expect(first.cursor).toEqual({ since: '50' });
+
+        const { posts: next } = await fetchMastodonAccountPosts('carol@example.social', { pages: 2, cursor: first.cursor });
+        expect(next).toHaveLength(50);
+        expect(next[0].id).toBe('100');
+        expect(next[next.length - 1].id).toBe('51');
+    });
+
+    test('Mastodon: the cursor is the newest status, even one without text', async () => {
+        const { posts, cursor } = await fetchMastodonAccountPosts('erin@example.social');
+        expect(posts.map(p => p.id)).toEqual(['11']);
+        expect(cursor).toEqual({ since: '12' });
+
+        expect(await fetchMastodonAccountPosts('erin@example.social', { cursor })).toEqual({ posts: [], cursor });
+    });
+
+    test('Bluesky: stops paging at the since timestamp', async () => {
+        mock.requests.length = 0;
+        const { posts, cursor } = await fetchBlueskyAccountPosts(auth, 'bob.bsky.social', {
+            pages: 2,
+            excludeReblogs: false,
+            cursor: { since: '2024-01-02T00:00:00.000Z' }
+        });
+        expect(posts.map(p => p.text)).toEqual(['own post']);
+        expect(mock.requests).toHaveLength(1);
+        expect(cursor).toEqual({ since: '2024-01-03T00:00:00.000Z' });
+    });
+
+    test('Bluesky: a backlog longer than the pages is finished on later fetches', async () => {
+        daveCount = 250;
+        const first = await fetchBlueskyAccountPosts(auth, 'dave.bsky.social', { cursor: { since: daveTime(20) } });
+        expect(first.posts).toHaveLength(100);
+        expect(first.posts[0].text).toBe('post 250');
+        // The pages ran out before post 20: since stays, and the rest waits.
+        expect(first.cursor).toEqual({ since: daveTime(20), resume: daveTime(151), top: daveTime(250) });
+
+        // More posts arrive before the next fetch, which finishes the backlog.
+        daveCount = 260;
+        const second = await fetchBlueskyAccountPosts(auth, 'dave.bsky.social', { pages: 2, cursor: first.cursor });
+        expect(second.posts).toHaveLength(130);
+        expect(second.posts[0].text).toBe('post 150');
+        expect(second.posts[129].text).toBe('post 21');
+        expect(second.cursor).toEqual({ since: daveTime(250) });
+
+        const third = await fetchBlueskyAccountPosts(auth, 'dave.bsky.social', { cursor: second.cursor });
+        expect(third.posts.map(p => p.text)).toEqual(Array.from({ length: 10 }, (_, i) => `post ${260 - i}`));
+        expect(third.cursor).toEqual({ since: daveTime(260) });
+    });
+
+    describe('harvestSourcePosts', () => {
+        beforeAll(async () => {
+            Object.assign(process.env, {
+                MASTODON_ACCESS_TOKEN: 'token',
+                BLUESKY_USERNAME: 'bot.bsky.social',
+                BLUESKY_PASSWORD: 'password',
+                MASTODON_SOURCE_ACCOUNTS: '@alice@example.social',
+                BLUESKY_SOURCE_ACCOUNTS: '@bob.bsky.social',
+                SOURCE_PAGES_PER_ACCOUNT: '1'
+            });
+            await loadConfig();
+        });
+
+        test('appends only new posts and records per-account cursors', async () => {
+            const env = { SOURCE_TWEETS: new LocalStorage() };
+            await storeSourceTweets(env, ['uploaded tweet']);
+
+            expect(await harvestSourcePosts(env)).toHaveLength(3);
+            expect(await getSourceTweets(env)).toEqual(['uploaded tweet', 'newest post', 'boosted post', 'own post']);
+            expect(await getTweetCount(env)).toBe(4);
+
+            const cursors = await getSourceCursors(env);
+            expect(cursors['mastodon:@alice@example.social'].since).toBe('10');
+            expect(cursors['bluesky:@bob.bsky.social'].since).toBe('2024-01-03T00:00:00.000Z');
+
+            // Nothing newer than the cursors: the corpus is left as it was.
+            expect(await harvestSourcePosts(env)).toEqual([]);
+            expect(await getTweetCount(env)).toBe(4);
+        });
+
+        test('a model that fails to save leaves the stored one marked stale', async () => {
+            process.env.DEBUG_LEVEL = 'error';
+            const env = { SOURCE_TWEETS: new LocalStorage() };
+            await storeSourceTweets(env, ['alpha beta gamma', 'alpha beta delta']);
+            expect(await refreshMarkovModel(env)).toBe(true);
+            expect(await getMarkovModel(env)).not.toBeNull();
+
+            // Batch writes fail from here on; the meta key still takes writes.
+            const put = env.SOURCE_TWEETS.put.bind(env.SOURCE_TWEETS);
+            env.SOURCE_TWEETS.put = async (key, value) => {
+                if (key !== 'markov_model_meta' && key.startsWith('markov_model_')) {
+                    throw new Error('KV unavailable');
+                }
+                return put(key, value);
+            };
+            await refreshMarkovModel(env);
+            expect(await getMarkovModel(env)).toBeNull();
+        });
+    });
+});
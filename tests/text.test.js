@@ -10,6 +10,10 @@ describe('text helpers', () => {
         expect(stripMentions('hello @user and @two')).toBe('hello  and ');
     });
 
+    test('stripMentions removes Bluesky handles and Mastodon accts whole', () => {
+        expect(stripMentions('@bot.bsky.social hi @user@example.social.')).toBe(' hi .');
+    });
+
     test('normalizeWhitespace collapses runs and trims', () => {
         expect(normalizeWhitespace('  a   b\n c  ')).toBe('a b c');
     });
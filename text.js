@@ -5,9 +5,10 @@ function stripHtml(text) {
     return text.replace(/<[^>]*>/g, '');
 }
 
-// Remove @mentions.
+// Remove @mentions, including dotted Bluesky handles (@bot.bsky.social) and
+// Mastodon accts (@user@instance). A trailing period is left alone.
 function stripMentions(text) {
-    return text.replace(/@[\w]+/g, '');
+    return text.replace(/@\w+(?:[.-]\w+)*(?:@\w+(?:[.-]\w+)*)?/g, '');
 }
 
 // Collapse runs of whitespace to single spaces and trim.
@@ -1,10 +1,11 @@
 import { debug } from './log.js';
-import { main } from './bot.js';
+import { main, refreshMarkovModel, generateCandidates, prepareMarkovModel, publishApprovedDrafts } from './bot.js';
 import { uploadSourceTweetsFromText, getTweetCount } from './kv.js';
-import { checkNotifications, generateReply, fetchPostContent, initAI } from './replies.js';
+import { checkNotifications, composeReply, fetchPostContent, initAI, initMarkov } from './replies.js';
 import { initPostsKV } from './posts.js';
 import { initFeedback, recordVote, listFeedback, clearFeedback, summarizeFeedback } from './feedback.js';
 import { renderDashboard } from './dashboard.js';
+import { approvalMode, listDrafts, reviewDraft } from './drafts.js';
 
 // Small response helpers — every route below returns JSON or a 405.
 const json = (body, status = 200) => new Response(JSON.stringify(body), {
@@ -13,6 +14,10 @@ const json = (body, status = 200) => new Response(JSON.stringify(body), {
 });
 const methodNotAllowed = () => new Response('Method not allowed', { status: 405 });
 
+// Upper bound on candidates per POST /generate request; each one is a full
+// generation run.
+const MAX_GENERATE_CANDIDATES = 10;
+
 // Create a global process.env if it doesn't exist
 if (typeof process === 'undefined' || typeof process.env === 'undefined') {
     globalThis.process = { env: {} };
@@ -28,10 +33,19 @@ async function setupEnvironment(env) {
             MASTODON_API_URL: env.MASTODON_API_URL || '',
             MASTODON_ACCESS_TOKEN: env.MASTODON_ACCESS_TOKEN || '',
             BLUESKY_API_URL: env.BLUESKY_API_URL || '',
+            BLUESKY_APPVIEW_URL: env.BLUESKY_APPVIEW_URL || '',
+            BLUESKY_PLC_URL: env.BLUESKY_PLC_URL || '',
             BLUESKY_USERNAME: env.BLUESKY_USERNAME || '',
             BLUESKY_PASSWORD: env.BLUESKY_PASSWORD || '',
+            THREADS_API_URL: env.THREADS_API_URL || '',
+            THREADS_USER_ID: env.THREADS_USER_ID || '',
+            THREADS_ACCESS_TOKEN: env.THREADS_ACCESS_TOKEN || '',
+            ENABLED_PLATFORMS: env.ENABLED_PLATFORMS || '',
             MASTODON_SOURCE_ACCOUNTS: env.MASTODON_SOURCE_ACCOUNTS || '',
             BLUESKY_SOURCE_ACCOUNTS: env.BLUESKY_SOURCE_ACCOUNTS || '',
+            SOURCE_PAGES_PER_ACCOUNT: env.SOURCE_PAGES_PER_ACCOUNT || '',
+            SOURCE_EXCLUDE_REPLIES: env.SOURCE_EXCLUDE_REPLIES || '',
+            SOURCE_EXCLUDE_REBLOGS: env.SOURCE_EXCLUDE_REBLOGS || '',
             EXCLUDED_WORDS: env.EXCLUDED_WORDS || '',
             DEBUG_MODE: env.DEBUG_MODE || 'false',
             DEBUG_LEVEL: env.DEBUG_LEVEL || 'info',
@@ -39,11 +53,32 @@ async function setupEnvironment(env) {
             MARKOV_MIN_CHARS: env.MARKOV_MIN_CHARS || '100',
             MARKOV_MAX_CHARS: env.MARKOV_MAX_CHARS || '280',
             MARKOV_MAX_TRIES: env.MARKOV_MAX_TRIES || '100',
+            MARKOV_BACKOFF: env.MARKOV_BACKOFF || 'false',
+            MARKOV_BACKOFF_MIN_CONTINUATIONS: env.MARKOV_BACKOFF_MIN_CONTINUATIONS || '',
+            MARKOV_SENTENCES: env.MARKOV_SENTENCES || 'false',
+            MARKOV_MAX_OVERLAP_WORDS: env.MARKOV_MAX_OVERLAP_WORDS || '',
+            MARKOV_MAX_OVERLAP_RATIO: env.MARKOV_MAX_OVERLAP_RATIO || '',
             POST_PROBABILITY: env.POST_PROBABILITY || '',
+            POST_CANDIDATES: env.POST_CANDIDATES || '',
+            DUPLICATE_WINDOW_DAYS: env.DUPLICATE_WINDOW_DAYS || '',
+            DUPLICATE_MAX_SIMILARITY: env.DUPLICATE_MAX_SIMILARITY || '',
+            VOTE_UPVOTE_WEIGHT: env.VOTE_UPVOTE_WEIGHT || '',
+            VOTE_DOWNVOTE_FACTOR: env.VOTE_DOWNVOTE_FACTOR || '',
+            APPROVAL_MODE: env.APPROVAL_MODE || '',
+            POST_WINDOWS: env.POST_WINDOWS || '',
+            POST_TIMEZONE: env.POST_TIMEZONE || '',
+            POST_MIN_GAP_MINUTES: env.POST_MIN_GAP_MINUTES || '',
+            POST_MAX_PER_DAY: env.POST_MAX_PER_DAY || '',
             REPLY_MAX_AGE_HOURS: env.REPLY_MAX_AGE_HOURS || '',
             WORKERS_AI_MODEL: env.WORKERS_AI_MODEL || '',
             AI_MAX_TOKENS: env.AI_MAX_TOKENS || '',
-            AI_TEMPERATURE: env.AI_TEMPERATURE || ''
+            AI_TEMPERATURE: env.AI_TEMPERATURE || '',
+            REPLY_ENGINE: env.REPLY_ENGINE || '',
+            REPLY_CONTEXT_MAX_TURNS: env.REPLY_CONTEXT_MAX_TURNS || '',
+            REPLY_CONTEXT_MAX_CHARS: env.REPLY_CONTEXT_MAX_CHARS || '',
+            REPLY_FEW_SHOT_EXAMPLES: env.REPLY_FEW_SHOT_EXAMPLES || '',
+            REPLY_MAX_PER_AUTHOR_PER_HOUR: env.REPLY_MAX_PER_AUTHOR_PER_HOUR || '',
+            REPLY_MAX_THREAD_DEPTH: env.REPLY_MAX_THREAD_DEPTH || ''
         };
 
         // Workers AI is accessed via the `AI` binding, not process.env.
@@ -51,10 +86,12 @@ async function setupEnvironment(env) {
         if (!env.AI) {
             debug('No AI binding found in env; reply generation will be disabled', 'warn');
         }
+        // The markov/hybrid reply engines load the trained model on first use.
+        initMarkov(() => prepareMarkovModel(env));
         
         // Initialize KV namespace. The recent-posts cache is intentionally NOT
         // warmed here: it cost a KV list + N gets on every request (including
-        // /dashboard, which never reads it). handleBlueskyReply loads it lazily
+        // /dashboard, which never reads it). handleNotification loads it lazily
         // and getOriginalPost falls back to a direct KV get on a miss.
         if (env.POSTS_KV) {
             initPostsKV(env.POSTS_KV);
@@ -69,6 +106,7 @@ async function setupEnvironment(env) {
         // never ambiguous (DEBUG_MODE=true means nothing is actually posted).
         debug('Environment setup complete', 'info', {
             debugMode: process.env.DEBUG_MODE,
+            approvalMode: process.env.APPROVAL_MODE === 'true',
             willActuallyPost: process.env.DEBUG_MODE !== 'true'
         });
     } catch (error) {
@@ -97,10 +135,14 @@ export default {
                     const append = request.headers.get('X-Append') !== 'false'; // Default to append
                     const success = await uploadSourceTweetsFromText(env, text, append);
                     const totalTweets = await getTweetCount(env);
+                    // The corpus changed, so retrain the stored Markov model now
+                    // rather than on the next (cron) run.
+                    const modelRebuilt = success ? await refreshMarkovModel(env) : false;
                     
                     return json({ 
                         success,
                         totalTweets,
+                        modelRebuilt,
                         mode: append ? 'append' : 'replace'
                     });
                 } else if (request.method === 'GET') {
@@ -126,13 +168,14 @@ export default {
                         return json({ error: 'Failed to fetch post content' }, 400);
                     }
 
-                    const generatedReply = await generateReply(originalPost, replyContent);
+                    const reply = await composeReply(originalPost, replyContent);
                     
                     return json({ 
                         postUrl,
                         originalPost,
                         replyContent,
-                        generatedReply
+                        generatedReply: reply ? reply.text : null,
+                        model: reply ? reply.model : null
                     });
                 }
                 return methodNotAllowed();
@@ -194,17 +237,92 @@ export default {
                 return methodNotAllowed();
             }
 
+            // Drafts awaiting approval (APPROVAL_MODE), and the dashboard's
+            // approve/edit/reject actions on them
+            if (url.pathname === '/api/drafts') {
+                if (request.method === 'GET') {
+                    const status = url.searchParams.get('status');
+                    return json({ approvalMode: approvalMode(), items: await listDrafts({ status: status || null }) });
+                }
+                if (request.method === 'POST') {
+                    let payload;
+                    try {
+                        payload = await request.json();
+                    } catch (parseError) {
+                        return json({ error: 'Invalid JSON body' }, 400);
+                    }
+
+                    const { id, action, content } = payload;
+                    try {
+                        const draft = await reviewDraft(id, { action, content });
+                        if (!draft) {
+                            return json({ error: 'Draft not found' }, 404);
+                        }
+                        return json({ success: true, draft });
+                    } catch (reviewError) {
+                        return json({ error: reviewError.message }, 400);
+                    }
+                }
+                return methodNotAllowed();
+            }
+
+            // Publish approved drafts now rather than on the next cron run
+            if (url.pathname === '/api/drafts/publish') {
+                if (request.method === 'POST') {
+                    const counts = await publishApprovedDrafts();
+                    return json({ success: true, ...counts });
+                }
+                return methodNotAllowed();
+            }
+
             // Handle bot execution
             if (url.pathname === '/run') {
                 if (request.method === 'POST') {
                     debug('Starting bot execution...');
-                    await main(env);
+                    // Optional ?seed= regenerates a post reproducibly (seeds are
+                    // shown on the dashboard).
+                    await main(env, { seed: url.searchParams.get('seed') });
                     debug('Bot execution completed');
                     return new Response('Bot execution completed', { status: 200 });
                 }
                 return methodNotAllowed();
             }
 
+            // Generate candidate posts about a keyword (or starting with a
+            // phrase) without posting them
+            if (url.pathname === '/generate') {
+                if (request.method === 'POST') {
+                    let payload;
+                    try {
+                        payload = await request.json();
+                    } catch (parseError) {
+                        return json({ error: 'Invalid JSON body' }, 400);
+                    }
+
+                    const { keyword, prefix, seed } = payload;
+                    if ((typeof keyword !== 'string' || !keyword.trim()) && (typeof prefix !== 'string' || !prefix.trim())) {
+                        return json({ error: 'Missing keyword or prefix in request body' }, 400);
+                    }
+                    const count = Math.min(Math.max(parseInt(payload.count, 10) || 3, 1), MAX_GENERATE_CANDIDATES);
+
+                    try {
+                        const candidates = await generateCandidates(env, {
+                            keyword: keyword || null,
+                            prefix: prefix || null,
+                            count,
+                            seed
+                        });
+                        return json({ keyword: keyword || null, prefix: prefix || null, candidates });
+                    } catch (generateError) {
+                        if (generateError.message.startsWith('Phrase not found')) {
+                            return json({ error: generateError.message }, 404);
+                        }
+                        throw generateError;
+                    }
+                }
+                return methodNotAllowed();
+            }
+
             // Handle checking notifications
             if (url.pathname === '/check-replies') {
                 if (request.method === 'POST') {
@@ -229,8 +347,15 @@ export default {
             await setupEnvironment(env);
             debug('Starting scheduled execution...');
             
-            // Run the main bot
-            ctx.waitUntil(main(env));
+            // Run the main bot; the scheduler decides whether this tick posts.
+            // Then publish what has been approved since the last run, after
+            // main, since both update the schedule state.
+            ctx.waitUntil((async () => {
+                await main(env, { scheduled: true });
+                if (approvalMode()) {
+                    await publishApprovedDrafts();
+                }
+            })());
             debug('Main execution completed');
 
             // Check for and handle replies